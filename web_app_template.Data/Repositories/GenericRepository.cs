@@ -1,6 +1,8 @@
 ﻿using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
+using System.Collections;
 using System.Linq.Expressions;
+using System.Text.Json;
 using web_app_template.Domain.Models;
 
 namespace web_app_template.Data.Repositories
@@ -402,11 +404,42 @@ namespace web_app_template.Data.Repositories
                 case "<=":
                     body = Expression.LessThanOrEqual(property, Expression.Convert(constant, property.Type));
                     break;
+                case "in":
+                    // Translated by EF Core into a single SQL IN over the listed values
+                    body = Expression.Call(typeof(Enumerable), nameof(Enumerable.Contains), new[] { property.Type },
+                        Expression.Constant(ToTypedArray(filter.Value, property.Type)), property);
+                    break;
                 default:
                     throw new NotSupportedException($"Operador '{filter.Operator}' no soportado.");
             }
 
             return Expression.Lambda<Func<T, bool>>(body, param);
         }
+
+        /// <summary>
+        /// Converts the value of an "in" filter into an array of the filtered property's type.
+        /// </summary>
+        /// <param name="value">A JSON array as bound from the request body, or any sequence other than a string.</param>
+        /// <param name="elementType">The type of the filtered property.</param>
+        /// <returns>An array of <paramref name="elementType"/> holding every listed value.</returns>
+        /// <exception cref="NotSupportedException">Thrown if <paramref name="value"/> is not a list of values.</exception>
+        private static Array ToTypedArray(object value, Type elementType)
+        {
+            var items = value switch
+            {
+                JsonElement { ValueKind: JsonValueKind.Array } json => json.EnumerateArray()
+                    .Select(item => item.Deserialize(elementType))
+                    .ToList(),
+                IEnumerable sequence when value is not string => sequence.Cast<object>()
+                    .Select(item => Convert.ChangeType(item, Nullable.GetUnderlyingType(elementType) ?? elementType))
+                    .ToList(),
+                _ => throw new NotSupportedException("El operador 'in' requiere una lista de valores.")
+            };
+
+            var array = Array.CreateInstance(elementType, items.Count);
+            for (var i = 0; i < items.Count; i++)
+                array.SetValue(items[i], i);
+            return array;
+        }
     }
 }
@@ -4,6 +4,6 @@
     {
         public string PropertyName { get; set; }
         public object Value { get; set; }
-        public string Operator { get; set; } = "=="; // "==", "!=", ">", "<", ">=", "<="
+        public string Operator { get; set; } = "=="; // "==", "!=", ">", "<", ">=", "<=", "in" (Value is a list)
     }
 }
@@ -1,22 +1,32 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { PreferencesProvider } from './contexts/PreferencesContext';
 import Login from './components/auth/Login';
+import Register from './components/auth/Register';
 import Dashboard from './components/dashboard/Dashboard';
 import Users from './components/users/Users';
+import UserDetail from './components/users/UserDetail';
 import Settings from './components/settings/Settings';
+import AuditLog from './components/audit/AuditLog';
 import Layout from './components/layout/Layout';
+import LoadingScreen from './components/common/LoadingScreen';
+import { Permissions, hasPermission } from './utils/permissions';
 import './App.css';
 
 // Protected Route Component
-const ProtectedRoute = ({ children, requiredRole = null }) => {
-  const { user, isAuthenticated } = useAuth();
+const ProtectedRoute = ({ children, requiredPermission = null }) => {
+  const { user, isAuthenticated, loading } = useAuth();
+  
+  if (loading) {
+    return <LoadingScreen />;
+  }
   
   if (!isAuthenticated) {
     return <Navigate to="/login" replace />;
   }
   
-  if (requiredRole && user?.role !== requiredRole) {
+  if (requiredPermission && !hasPermission(user, requiredPermission)) {
     return <Navigate to="/dashboard" replace />;
   }
   
@@ -25,11 +35,16 @@ const ProtectedRoute = ({ children, requiredRole = null }) => {
 
 // Main App Component
 const AppContent = () => {
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, loading } = useAuth();
+  
+  // Hold every route until the stored session has been restored
+  if (loading) {
+    return <LoadingScreen />;
+  }
   
   return (
     <Router>
-      <div className="min-h-screen bg-gray-50">
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
         <Routes>
           <Route 
             path="/login" 
@@ -37,6 +52,12 @@ const AppContent = () => {
               isAuthenticated ? <Navigate to="/dashboard" replace /> : <Login />
             } 
           />
+          <Route 
+            path="/register" 
+            element={
+              isAuthenticated ? <Navigate to="/dashboard" replace /> : <Register />
+            } 
+          />
           <Route 
             path="/dashboard" 
             element={
@@ -50,13 +71,33 @@ const AppContent = () => {
           <Route 
             path="/users" 
             element={
-              <ProtectedRoute requiredRole="Admin">
+              <ProtectedRoute requiredPermission={Permissions.ManageUsers}>
                 <Layout>
                   <Users />
                 </Layout>
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/users/:id" 
+            element={
+              <ProtectedRoute requiredPermission={Permissions.ManageUsers}>
+                <Layout>
+                  <UserDetail />
+                </Layout>
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/audit" 
+            element={
+              <ProtectedRoute requiredPermission={Permissions.ViewAuditLog}>
+                <Layout>
+                  <AuditLog />
+                </Layout>
+              </ProtectedRoute>
+            } 
+          />
           <Route 
             path="/settings" 
             element={
@@ -77,11 +118,13 @@ const AppContent = () => {
   );
 };
 
-// App Component with Auth Provider
+// App Component with Auth and Preferences Providers
 const App = () => {
   return (
     <AuthProvider>
-      <AppContent />
+      <PreferencesProvider>
+        <AppContent />
+      </PreferencesProvider>
     </AuthProvider>
   );
 };
@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { auditAPI, AuditActions } from '../../services/auditAPI';
+import RelativeTime from '../common/RelativeTime';
+import { useQueryFilters } from '../common/useQueryFilters';
+import { getAuditActionColor, describeAuditEntry } from '../../utils/audit';
+import { zonedTimeToDate } from '../../utils/format';
+import { useTranslation } from '../../i18n/useTranslation';
+import { useFormatter } from '../../i18n/useFormatter';
+import { Search, AlertCircle } from 'lucide-react';
+
+const PAGE_SIZE = 20;
+
+// Wait for a pause in typing before the actor reaches the URL and the API
+const SEARCH_DEBOUNCE_MS = 300;
+
+// <input type="date"> values cover whole days in the user's timezone, the
+// same one the entry dates are shown in
+const startOfDay = (date, timeZone) => (date ? zonedTimeToDate(date, '00:00:00', timeZone)?.toISOString() : undefined);
+const endOfDay = (date, timeZone) => (date ? zonedTimeToDate(date, '23:59:59.999', timeZone)?.toISOString() : undefined);
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalEntries, setTotalEntries] = useState(0);
+  const [error, setError] = useState('');
+  const { searchParams, updateSearchParams, currentPage, setCurrentPage } = useQueryFilters();
+  const { t } = useTranslation();
+  const { timeZone, formatDateTime, formatNumber } = useFormatter();
+
+  // Same URL-driven filters as the Users page
+  const actor = searchParams.get('actor') || '';
+  const action = searchParams.get('action') || 'all';
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+  const [actorInput, setActorInput] = useState(actor);
+  const actorTimer = useRef(null);
+  const latestRequest = useRef(0);
+
+  const handleActorChange = (value) => {
+    setActorInput(value);
+    clearTimeout(actorTimer.current);
+    actorTimer.current = setTimeout(() => updateSearchParams({ actor: value }), SEARCH_DEBOUNCE_MS);
+  };
+
+  useEffect(() => () => clearTimeout(actorTimer.current), []);
+
+  // Back/forward navigation and "Clear filters" change the actor without typing
+  useEffect(() => {
+    setActorInput(actor);
+  }, [actor]);
+
+  // Only the latest request may update the table; a slower earlier response
+  // for previous filters or another page is dropped
+  const loadEntries = useCallback(async () => {
+    const request = ++latestRequest.current;
+    setLoading(true);
+    setError('');
+    try {
+      const response = await auditAPI.getEntries({
+        page: currentPage,
+        limit: PAGE_SIZE,
+        actor,
+        action: action === 'all' ? undefined : action,
+        from: startOfDay(from, timeZone),
+        to: endOfDay(to, timeZone)
+      });
+      if (request !== latestRequest.current) return;
+      setEntries(response.data.entries);
+      setTotalPages(response.data.totalPages);
+      setTotalEntries(response.data.total);
+    } catch (error) {
+      if (request !== latestRequest.current) return;
+      setError(error.message);
+    }
+    setLoading(false);
+  }, [currentPage, actor, action, from, to, timeZone]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const hasFilters = actor || action !== 'all' || from || to;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">{t('audit.title')}</h1>
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+          {t('audit.subtitle')}
+        </p>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="card">
+        <div className="flex flex-col lg:flex-row gap-4">
+          <div className="flex-1">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                placeholder={t('audit.actorPlaceholder')}
+                value={actorInput}
+                onChange={(e) => handleActorChange(e.target.value)}
+                className="input-field pl-10"
+              />
+            </div>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <select
+              value={action}
+              onChange={(e) => updateSearchParams({ action: e.target.value })}
+              className="input-field"
+            >
+              <option value="all">{t('audit.allActions')}</option>
+              {Object.values(AuditActions).map((value) => (
+                <option key={value} value={value}>{t(`audit.actions.${value}`)}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={from}
+              max={to || undefined}
+              onChange={(e) => updateSearchParams({ from: e.target.value })}
+              className="input-field"
+              aria-label={t('audit.from')}
+              title={t('audit.from')}
+            />
+            <input
+              type="date"
+              value={to}
+              min={from || undefined}
+              onChange={(e) => updateSearchParams({ to: e.target.value })}
+              className="input-field"
+              aria-label={t('audit.to')}
+              title={t('audit.to')}
+            />
+            {hasFilters && (
+              <button
+                type="button"
+                onClick={() => {
+                  clearTimeout(actorTimer.current);
+                  setActorInput('');
+                  updateSearchParams({ actor: null, action: null, from: null, to: null });
+                }}
+                className="btn-secondary whitespace-nowrap"
+              >
+                {t('audit.clearFilters')}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Entries Table */}
+      <div className="card">
+        {loading ? (
+          <div className="flex justify-center items-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">{t('audit.empty')}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-900">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    {t('audit.columns.time')}
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    {t('audit.columns.actor')}
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    {t('audit.columns.action')}
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    {t('audit.columns.details')}
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    {t('audit.columns.ipAddress')}
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                {entries.map((entry) => (
+                  <tr key={entry.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="text-gray-900 dark:text-gray-100">{formatDateTime(entry.createdAt)}</div>
+                      <RelativeTime value={entry.createdAt} className="text-gray-500 dark:text-gray-400" />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                        {entry.actorName || entry.actorEmail || t('audit.unknownActor')}
+                      </div>
+                      {entry.actorName && (
+                        <div className="text-sm text-gray-500 dark:text-gray-400">{entry.actorEmail}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getAuditActionColor(entry.action)}`}>
+                        {t(`audit.actions.${entry.action}`, { defaultValue: entry.action })}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 dark:text-gray-300">
+                      {describeAuditEntry(entry, t)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-500 dark:text-gray-400">
+                      {entry.ipAddress || '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <div className="text-sm text-gray-700 dark:text-gray-300">
+            {t('common.pageInfo', { page: currentPage, totalPages })} · {t('audit.total', { count: totalEntries, formattedCount: formatNumber(totalEntries) })}
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+              disabled={currentPage === 1}
+              className="btn-secondary disabled:opacity-50"
+            >
+              {t('common.previous')}
+            </button>
+            <button
+              onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+              disabled={currentPage === totalPages}
+              className="btn-secondary disabled:opacity-50"
+            >
+              {t('common.next')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
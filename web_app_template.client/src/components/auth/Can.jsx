@@ -0,0 +1,10 @@
+import React from 'react';
+import { usePermission } from '../../contexts/AuthContext';
+
+// Renders children only when the current user holds the given permission
+const Can = ({ permission, children, fallback = null }) => {
+  const allowed = usePermission(permission);
+  return <>{allowed ? children : fallback}</>;
+};
+
+export default Can;
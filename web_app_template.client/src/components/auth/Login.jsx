@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { Eye, EyeOff, Lock, Mail, AlertCircle } from 'lucide-react';
+import { useTranslation } from '../../i18n/useTranslation';
+import { Eye, EyeOff, Lock, Mail, AlertCircle, ShieldCheck } from 'lucide-react';
 
 const Login = () => {
   const [email, setEmail] = useState('');
@@ -8,7 +10,11 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const { login } = useAuth();
+  const [twoFactorToken, setTwoFactorToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { login, verifyTwoFactor } = useAuth();
+  const { t } = useTranslation();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -17,126 +23,229 @@ const Login = () => {
 
     const result = await login(email, password);
     
-    if (!result.success) {
-      setError(result.error);
+    if (result.requiresTwoFactor) {
+      setTwoFactorToken(result.twoFactorToken);
+    } else if (!result.success) {
+      setError(result.status === 401 ? t('login.invalidCredentials') : result.error);
     }
     
     setLoading(false);
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await verifyTwoFactor(twoFactorToken, code.replace(/\s/g, ''), {
+      isRecoveryCode: useRecoveryCode
+    });
+
+    if (!result.success) {
+      setError(result.status === 401 ? t('login.invalidCode') : result.error);
+      setLoading(false);
+    }
+  };
+
+  const handleBackToCredentials = () => {
+    setTwoFactorToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setPassword('');
+    setError('');
+  };
+
   return (
-    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
         <div className="text-center">
-          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
-            Admin Portal
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900 dark:text-gray-100">
+            {t('common.appName')}
           </h2>
-          <p className="mt-2 text-sm text-gray-600">
-            Sign in to your account
+          <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+            {t('login.subtitle')}{' '}
+            <Link to="/register" className="font-medium text-primary-600 hover:text-primary-500">
+              {t('login.createAccount')}
+            </Link>
           </p>
         </div>
         
         <div className="card">
-          <form className="space-y-6" onSubmit={handleSubmit}>
-            {error && (
-              <div className="flex items-center p-4 text-sm text-red-800 border border-red-200 rounded-lg bg-red-50">
-                <AlertCircle className="w-4 h-4 mr-2" />
-                {error}
-              </div>
-            )}
-            
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                Email address
-              </label>
-              <div className="mt-1 relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Mail className="h-5 w-5 text-gray-400" />
+          {twoFactorToken ? (
+            <form className="space-y-6" onSubmit={handleTwoFactorSubmit}>
+              {error && (
+                <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+                  <AlertCircle className="w-4 h-4 mr-2" />
+                  {error}
                 </div>
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  required
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  className="input-field pl-10"
-                  placeholder="Enter your email"
-                />
+              )}
+
+              <div className="flex items-start">
+                <ShieldCheck className="h-6 w-6 text-primary-600 mr-3 flex-shrink-0" />
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {useRecoveryCode ? t('login.recoveryCodeHint') : t('login.authenticatorCodeHint')}
+                </p>
               </div>
-            </div>
 
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                Password
-              </label>
-              <div className="mt-1 relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Lock className="h-5 w-5 text-gray-400" />
-                </div>
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  {useRecoveryCode ? t('login.recoveryCode') : t('login.authenticationCode')}
+                </label>
                 <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
+                  id="code"
+                  name="code"
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
                   required
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  className="input-field pl-10 pr-10"
-                  placeholder="Enter your password"
+                  maxLength={useRecoveryCode ? 20 : 7}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="input-field mt-1 tracking-widest"
+                  placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : '123 456'}
                 />
+              </div>
+
+              <div>
                 <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => setShowPassword(!showPassword)}
+                  type="submit"
+                  disabled={loading}
+                  className="btn-primary w-full flex justify-center items-center"
                 >
-                  {showPassword ? (
-                    <EyeOff className="h-5 w-5 text-gray-400" />
+                  {loading ? (
+                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
                   ) : (
-                    <Eye className="h-5 w-5 text-gray-400" />
+                    t('login.verify')
                   )}
                 </button>
               </div>
-            </div>
 
-            <div>
-              <button
-                type="submit"
-                disabled={loading}
-                className="btn-primary w-full flex justify-center items-center"
-              >
-                {loading ? (
-                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                ) : (
-                  'Sign in'
-                )}
-              </button>
-            </div>
-          </form>
-          
-          <div className="mt-6">
-            <div className="relative">
-              <div className="absolute inset-0 flex items-center">
-                <div className="w-full border-t border-gray-300" />
-              </div>
-              <div className="relative flex justify-center text-sm">
-                <span className="px-2 bg-white text-gray-500">Demo Accounts</span>
-              </div>
-            </div>
-            
-            <div className="mt-4 space-y-2 text-xs text-gray-600">
-              <div className="p-2 bg-gray-50 rounded">
-                <strong>Admin:</strong> admin@example.com / admin123
-              </div>
-              <div className="p-2 bg-gray-50 rounded">
-                <strong>Manager:</strong> manager@example.com / manager123
+              <div className="flex justify-between text-sm">
+                <button
+                  type="button"
+                  onClick={handleBackToCredentials}
+                  className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100"
+                >
+                  {t('common.back')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setCode('');
+                    setError('');
+                  }}
+                  className="font-medium text-primary-600 hover:text-primary-500"
+                >
+                  {useRecoveryCode ? t('login.useAuthenticatorCode') : t('login.useRecoveryCode')}
+                </button>
               </div>
-              <div className="p-2 bg-gray-50 rounded">
-                <strong>User:</strong> user@example.com / user123
+            </form>
+          ) : (
+            <>
+              <form className="space-y-6" onSubmit={handleSubmit}>
+                {error && (
+                  <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {error}
+                  </div>
+                )}
+                
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {t('common.fields.email')}
+                  </label>
+                  <div className="mt-1 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Mail className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="email"
+                      name="email"
+                      type="email"
+                      autoComplete="email"
+                      required
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      className="input-field pl-10"
+                      placeholder={t('login.emailPlaceholder')}
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {t('common.fields.password')}
+                  </label>
+                  <div className="mt-1 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="password"
+                      name="password"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="current-password"
+                      required
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className="input-field pl-10 pr-10"
+                      placeholder={t('login.passwordPlaceholder')}
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400" />
+                      )}
+                    </button>
+                  </div>
+                </div>
+
+                <div>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="btn-primary w-full flex justify-center items-center"
+                  >
+                    {loading ? (
+                      <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+                    ) : (
+                      t('login.signIn')
+                    )}
+                  </button>
+                </div>
+              </form>
+              
+              <div className="mt-6">
+                <div className="relative">
+                  <div className="absolute inset-0 flex items-center">
+                    <div className="w-full border-t border-gray-300 dark:border-gray-600" />
+                  </div>
+                  <div className="relative flex justify-center text-sm">
+                    <span className="px-2 bg-white dark:bg-gray-800 text-gray-500 dark:text-gray-400">{t('login.demoAccounts')}</span>
+                  </div>
+                </div>
+                
+                <div className="mt-4 space-y-2 text-xs text-gray-600 dark:text-gray-400">
+                  <div className="p-2 bg-gray-50 dark:bg-gray-900 rounded">
+                    <strong>{t('roles.admin')}:</strong> admin@example.com / admin123
+                  </div>
+                  <div className="p-2 bg-gray-50 dark:bg-gray-900 rounded">
+                    <strong>{t('roles.manager')}:</strong> manager@example.com / manager123
+                  </div>
+                  <div className="p-2 bg-gray-50 dark:bg-gray-900 rounded">
+                    <strong>{t('roles.user')}:</strong> user@example.com / user123
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { validateUserFields, NAME_MAX_LENGTH } from '../../utils/userValidation';
+import { getFailedPasswordRules } from '../../utils/passwordPolicy';
+import { useTranslation } from '../../i18n/useTranslation';
+import { Eye, EyeOff, Lock, Mail, User, Camera, AlertCircle } from 'lucide-react';
+
+const validate = (formData, t) => {
+  const errors = validateUserFields(formData, t);
+
+  if (!formData.password) errors.password = [t('validation.passwordRequired')];
+  else if (getFailedPasswordRules(formData.password).length > 0) errors.password = [t('validation.passwordPolicy')];
+  if (!formData.confirmPassword) errors.confirmPassword = [t('validation.confirmPasswordRequired')];
+  else if (formData.password !== formData.confirmPassword) errors.confirmPassword = [t('validation.passwordsMismatch')];
+
+  return errors;
+};
+
+const FieldError = ({ errors }) => {
+  if (!errors?.length) return null;
+  return <p className="mt-1 text-sm text-red-600">{errors[0]}</p>;
+};
+
+const Register = () => {
+  const [formData, setFormData] = useState({
+    firstName: '',
+    lastName: '',
+    motherLastName: '',
+    email: '',
+    password: '',
+    confirmPassword: '',
+    profilePicture: null
+  });
+  const [previewUrl, setPreviewUrl] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const { register } = useAuth();
+  const { t } = useTranslation();
+
+  // Release the object URL of the previous preview
+  useEffect(() => {
+    return () => {
+      if (previewUrl) URL.revokeObjectURL(previewUrl);
+    };
+  }, [previewUrl]);
+
+  const handleChange = (field) => (e) => {
+    setFormData({ ...formData, [field]: e.target.value });
+  };
+
+  const handlePictureChange = (e) => {
+    const file = e.target.files?.[0] || null;
+    setFormData({ ...formData, profilePicture: file });
+    setPreviewUrl(file ? URL.createObjectURL(file) : '');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const errors = validate(formData, t);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    setLoading(true);
+
+    const result = await register(formData);
+
+    if (!result.success) {
+      setError(result.error);
+      setFieldErrors(result.fieldErrors || {});
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900 dark:text-gray-100">
+            {t('register.title')}
+          </h2>
+          <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+            {t('register.alreadyRegistered')}{' '}
+            <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+              {t('login.signIn')}
+            </Link>
+          </p>
+        </div>
+
+        <div className="card">
+          <form className="space-y-6" onSubmit={handleSubmit} noValidate>
+            {error && (
+              <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+                <AlertCircle className="w-4 h-4 mr-2" />
+                {error}
+              </div>
+            )}
+
+            <div className="flex items-center">
+              <div className="relative">
+                {previewUrl ? (
+                  <img className="h-16 w-16 rounded-full object-cover" src={previewUrl} alt="" />
+                ) : (
+                  <div className="h-16 w-16 rounded-full bg-gray-100 dark:bg-gray-700 flex items-center justify-center">
+                    <User className="h-8 w-8 text-gray-400" />
+                  </div>
+                )}
+                <label
+                  htmlFor="profilePicture"
+                  className="absolute bottom-0 right-0 p-1 bg-white dark:bg-gray-800 rounded-full shadow-lg border border-gray-200 dark:border-gray-700 cursor-pointer"
+                >
+                  <Camera className="h-4 w-4 text-gray-600 dark:text-gray-400" />
+                </label>
+                <input
+                  id="profilePicture"
+                  name="profilePicture"
+                  type="file"
+                  accept="image/*"
+                  onChange={handlePictureChange}
+                  className="sr-only"
+                />
+              </div>
+              <div className="ml-4 text-sm text-gray-500 dark:text-gray-400">
+                {t('register.profilePicture')}
+                <FieldError errors={fieldErrors.profilePicture} />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label htmlFor="firstName" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  {t('common.fields.firstName')}
+                </label>
+                <input
+                  id="firstName"
+                  name="firstName"
+                  type="text"
+                  autoComplete="given-name"
+                  maxLength={NAME_MAX_LENGTH}
+                  value={formData.firstName}
+                  onChange={handleChange('firstName')}
+                  className="input-field mt-1"
+                />
+                <FieldError errors={fieldErrors.firstName} />
+              </div>
+
+              <div>
+                <label htmlFor="lastName" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  {t('common.fields.lastName')}
+                </label>
+                <input
+                  id="lastName"
+                  name="lastName"
+                  type="text"
+                  autoComplete="family-name"
+                  maxLength={NAME_MAX_LENGTH}
+                  value={formData.lastName}
+                  onChange={handleChange('lastName')}
+                  className="input-field mt-1"
+                />
+                <FieldError errors={fieldErrors.lastName} />
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="motherLastName" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('common.fields.motherLastName')} <span className="text-gray-400">({t('common.optional')})</span>
+              </label>
+              <input
+                id="motherLastName"
+                name="motherLastName"
+                type="text"
+                maxLength={NAME_MAX_LENGTH}
+                value={formData.motherLastName}
+                onChange={handleChange('motherLastName')}
+                className="input-field mt-1"
+              />
+              <FieldError errors={fieldErrors.motherLastName} />
+            </div>
+
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('common.fields.email')}
+              </label>
+              <div className="mt-1 relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Mail className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  value={formData.email}
+                  onChange={handleChange('email')}
+                  className="input-field pl-10"
+                  placeholder={t('login.emailPlaceholder')}
+                />
+              </div>
+              <FieldError errors={fieldErrors.email} />
+            </div>
+
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('common.fields.password')}
+              </label>
+              <div className="mt-1 relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Lock className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  id="password"
+                  name="password"
+                  type={showPassword ? 'text' : 'password'}
+                  autoComplete="new-password"
+                  value={formData.password}
+                  onChange={handleChange('password')}
+                  className="input-field pl-10 pr-10"
+                  placeholder={t('register.passwordPlaceholder')}
+                />
+                <button
+                  type="button"
+                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  onClick={() => setShowPassword(!showPassword)}
+                >
+                  {showPassword ? (
+                    <EyeOff className="h-5 w-5 text-gray-400" />
+                  ) : (
+                    <Eye className="h-5 w-5 text-gray-400" />
+                  )}
+                </button>
+              </div>
+              <FieldError errors={fieldErrors.password} />
+            </div>
+
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('common.fields.confirmPassword')}
+              </label>
+              <div className="mt-1 relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Lock className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type={showPassword ? 'text' : 'password'}
+                  autoComplete="new-password"
+                  value={formData.confirmPassword}
+                  onChange={handleChange('confirmPassword')}
+                  className="input-field pl-10"
+                  placeholder={t('register.confirmPasswordPlaceholder')}
+                />
+              </div>
+              <FieldError errors={fieldErrors.confirmPassword} />
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn-primary w-full flex justify-center items-center"
+              >
+                {loading ? (
+                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+                ) : (
+                  t('register.submit')
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Register;
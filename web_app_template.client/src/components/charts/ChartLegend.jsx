@@ -0,0 +1,18 @@
+import React from 'react';
+
+// Colour swatch and label per series, with an optional trailing value
+const ChartLegend = ({ items, className = '' }) => (
+  <ul className={`flex flex-wrap gap-x-4 gap-y-1 text-sm ${className}`}>
+    {items.map((item) => (
+      <li key={item.key} className="flex items-center text-gray-600 dark:text-gray-400">
+        <span className="mr-2 h-2.5 w-2.5 rounded-full" style={{ backgroundColor: item.color }}></span>
+        {item.label}
+        {item.value !== undefined && (
+          <span className="ml-1 font-medium text-gray-900 dark:text-gray-100">{item.value}</span>
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
+export default ChartLegend;
@@ -0,0 +1,31 @@
+import React from 'react';
+
+// Hover box anchored at `x` (px from the chart's left edge); flips to the
+// left of the anchor on the right half so it never leaves the chart
+const ChartTooltip = ({ x, y = 0, width, title, rows }) => {
+  const flip = x > width / 2;
+
+  return (
+    <div
+      className="pointer-events-none absolute z-10 min-w-[8rem] rounded-md bg-white dark:bg-gray-900 px-3 py-2 text-xs shadow-lg ring-1 ring-gray-200 dark:ring-gray-700"
+      style={{
+        top: y,
+        left: flip ? undefined : x + 12,
+        right: flip ? width - x + 12 : undefined
+      }}
+    >
+      {title && <p className="mb-1 font-medium text-gray-900 dark:text-gray-100">{title}</p>}
+      {rows.map((row) => (
+        <p key={row.key} className="flex items-center justify-between gap-3 text-gray-600 dark:text-gray-400">
+          <span className="flex items-center">
+            <span className="mr-1.5 h-2 w-2 rounded-full" style={{ backgroundColor: row.color }}></span>
+            {row.label}
+          </span>
+          <span className="font-medium text-gray-900 dark:text-gray-100">{row.value}</span>
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default ChartTooltip;
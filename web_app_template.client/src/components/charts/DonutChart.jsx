@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { useElementWidth } from './useElementWidth';
+import ChartLegend from './ChartLegend';
+
+const MAX_SIZE = 200;
+const THICKNESS = 0.28;
+
+const polar = (center, radius, angle) => [
+  center + radius * Math.cos(angle),
+  center + radius * Math.sin(angle)
+];
+
+// Ring segment between two angles (radians, clockwise from 12 o'clock)
+const arcPath = (center, outer, inner, start, end) => {
+  // A full circle cannot be drawn as one arc
+  const sweep = Math.min(end - start, Math.PI * 2 - 0.0001);
+  const [x1, y1] = polar(center, outer, start - Math.PI / 2);
+  const [x2, y2] = polar(center, outer, start + sweep - Math.PI / 2);
+  const [x3, y3] = polar(center, inner, start + sweep - Math.PI / 2);
+  const [x4, y4] = polar(center, inner, start - Math.PI / 2);
+  const large = sweep > Math.PI ? 1 : 0;
+  return `M${x1},${y1} A${outer},${outer} 0 ${large} 1 ${x2},${y2} L${x3},${y3} A${inner},${inner} 0 ${large} 0 ${x4},${y4} Z`;
+};
+
+/**
+ * Share of a whole per item ([{ key, label, value, color }]). The centre
+ * shows the total, or the hovered segment's value and percentage.
+ */
+const DonutChart = ({
+  data,
+  totalLabel,
+  formatValue = (value) => value,
+  formatShare = (ratio) => `${Math.round(ratio * 100)}%`,
+  ariaLabel
+}) => {
+  const [containerRef, width] = useElementWidth();
+  const [activeKey, setActiveKey] = useState(null);
+
+  const size = Math.min(width, MAX_SIZE);
+  const center = size / 2;
+  const outer = center - 2;
+  const inner = outer * (1 - THICKNESS * 2);
+  const total = data.reduce((sum, item) => sum + item.value, 0);
+
+  let angle = 0;
+  const segments = data.filter(item => item.value > 0).map((item) => {
+    const start = angle;
+    angle += (item.value / total) * Math.PI * 2;
+    return { ...item, start, end: angle };
+  });
+
+  const active = data.find(item => item.key === activeKey);
+
+  return (
+    <div className="flex flex-col items-center">
+      <div ref={containerRef} className="w-full flex justify-center" style={{ height: MAX_SIZE }}>
+        {size > 0 && (
+          <div className="relative" style={{ width: size, height: size }}>
+            <svg width={size} height={size} role="img" aria-label={ariaLabel}>
+              {total === 0 ? (
+                <circle
+                  cx={center}
+                  cy={center}
+                  r={(outer + inner) / 2}
+                  fill="none"
+                  strokeWidth={outer - inner}
+                  className="stroke-gray-100 dark:stroke-gray-700"
+                />
+              ) : segments.map((segment) => (
+                <path
+                  key={segment.key}
+                  d={arcPath(center, outer, inner, segment.start, segment.end)}
+                  fill={segment.color}
+                  opacity={activeKey === null || activeKey === segment.key ? 1 : 0.4}
+                  onMouseEnter={() => setActiveKey(segment.key)}
+                  onMouseLeave={() => setActiveKey(null)}
+                />
+              ))}
+            </svg>
+            <div className="pointer-events-none absolute inset-0 flex flex-col items-center justify-center text-center">
+              <span className="text-2xl font-semibold text-gray-900 dark:text-gray-100">
+                {formatValue(active ? active.value : total)}
+              </span>
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {active ? `${active.label} · ${formatShare(total ? active.value / total : 0)}` : totalLabel}
+              </span>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <ChartLegend
+        className="mt-4 justify-center"
+        items={data.map((item) => ({
+          key: item.key,
+          label: item.label,
+          color: item.color,
+          value: formatShare(total ? item.value / total : 0)
+        }))}
+      />
+    </div>
+  );
+};
+
+export default DonutChart;
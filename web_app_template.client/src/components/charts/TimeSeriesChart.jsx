@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { useElementWidth } from './useElementWidth';
+import ChartTooltip from './ChartTooltip';
+import ChartLegend from './ChartLegend';
+
+const MARGIN = { top: 12, right: 12, bottom: 28, left: 40 };
+const GRID_LINES = 4;
+const MAX_X_LABELS = 7;
+
+// Rounds the largest value up to a 1/2/5 step so grid labels stay readable;
+// steps are whole numbers because the series are counts
+const getNiceMax = (value) => {
+  if (value <= 0) return GRID_LINES;
+  const rawStep = value / GRID_LINES;
+  const magnitude = Math.max(1, 10 ** Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 5, 10].find(factor => factor * magnitude >= rawStep) * magnitude;
+  return step * GRID_LINES;
+};
+
+/**
+ * Line or grouped-bar chart over `data` ([{ date, [series.key]: number }]).
+ * Fills its container's width; hovering a day shows every series' value.
+ */
+const TimeSeriesChart = ({
+  data,
+  series,
+  variant = 'line',
+  height = 240,
+  formatLabel = (value) => value,
+  formatValue = (value) => value,
+  ariaLabel
+}) => {
+  const [containerRef, width] = useElementWidth();
+  const [activeIndex, setActiveIndex] = useState(null);
+
+  const innerWidth = Math.max(0, width - MARGIN.left - MARGIN.right);
+  const innerHeight = height - MARGIN.top - MARGIN.bottom;
+  const count = data.length;
+
+  const maxValue = getNiceMax(Math.max(0, ...data.flatMap(point => series.map(s => point[s.key] ?? 0))));
+  const y = (value) => MARGIN.top + innerHeight - (value / maxValue) * innerHeight;
+
+  // Bars sit in equal bands; line points run edge to edge
+  const band = count ? innerWidth / count : 0;
+  const x = (index) => variant === 'bar'
+    ? MARGIN.left + band * (index + 0.5)
+    : MARGIN.left + (count > 1 ? (index * innerWidth) / (count - 1) : innerWidth / 2);
+
+  const labelEvery = Math.max(1, Math.ceil(count / MAX_X_LABELS));
+
+  const handleMouseMove = (event) => {
+    if (!count) return;
+    const offset = event.clientX - event.currentTarget.getBoundingClientRect().left - MARGIN.left;
+    const index = variant === 'bar'
+      ? Math.floor(offset / band)
+      : Math.round((offset / innerWidth) * (count - 1));
+    setActiveIndex(Math.min(count - 1, Math.max(0, index)));
+  };
+
+  const linePath = (key) =>
+    data.map((point, index) => `${index ? 'L' : 'M'}${x(index)},${y(point[key] ?? 0)}`).join(' ');
+
+  const barWidth = (band * 0.7) / series.length;
+  const activePoint = activeIndex !== null ? data[activeIndex] : null;
+
+  return (
+    <div>
+      <div ref={containerRef} className="relative w-full" style={{ height }}>
+        {width > 0 && (
+          <svg
+            width={width}
+            height={height}
+            role="img"
+            aria-label={ariaLabel}
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setActiveIndex(null)}
+          >
+            {/* Grid and value axis */}
+            {Array.from({ length: GRID_LINES + 1 }, (_, line) => {
+              const value = (maxValue / GRID_LINES) * line;
+              return (
+                <g key={line}>
+                  <line
+                    x1={MARGIN.left}
+                    x2={MARGIN.left + innerWidth}
+                    y1={y(value)}
+                    y2={y(value)}
+                    className="stroke-gray-200 dark:stroke-gray-700"
+                    strokeDasharray={line ? '3 3' : undefined}
+                  />
+                  <text
+                    x={MARGIN.left - 8}
+                    y={y(value)}
+                    textAnchor="end"
+                    dominantBaseline="middle"
+                    className="fill-gray-500 dark:fill-gray-400 text-[11px]"
+                  >
+                    {formatValue(value)}
+                  </text>
+                </g>
+              );
+            })}
+
+            {/* Date axis */}
+            {data.map((point, index) => (index % labelEvery === 0 || index === count - 1) && (
+              <text
+                key={point.date}
+                x={x(index)}
+                y={height - 8}
+                textAnchor="middle"
+                className="fill-gray-500 dark:fill-gray-400 text-[11px]"
+              >
+                {formatLabel(point.date)}
+              </text>
+            ))}
+
+            {variant === 'bar'
+              ? data.map((point, index) => series.map((s, seriesIndex) => {
+                const value = point[s.key] ?? 0;
+                return (
+                  <rect
+                    key={`${point.date}-${s.key}`}
+                    x={x(index) - (band * 0.7) / 2 + seriesIndex * barWidth}
+                    y={y(value)}
+                    width={Math.max(1, barWidth - 1)}
+                    height={MARGIN.top + innerHeight - y(value)}
+                    rx={2}
+                    fill={s.color}
+                    opacity={activeIndex === null || activeIndex === index ? 1 : 0.5}
+                  />
+                );
+              }))
+              : series.map((s) => (
+                <g key={s.key}>
+                  {series.length === 1 && count > 1 && (
+                    <path
+                      d={`${linePath(s.key)} L${x(count - 1)},${y(0)} L${x(0)},${y(0)} Z`}
+                      fill={s.color}
+                      opacity={0.1}
+                    />
+                  )}
+                  <path d={linePath(s.key)} fill="none" stroke={s.color} strokeWidth={2} strokeLinejoin="round" />
+                </g>
+              ))}
+
+            {/* Hover guide */}
+            {activePoint && variant === 'line' && (
+              <g>
+                <line
+                  x1={x(activeIndex)}
+                  x2={x(activeIndex)}
+                  y1={MARGIN.top}
+                  y2={MARGIN.top + innerHeight}
+                  className="stroke-gray-300 dark:stroke-gray-600"
+                />
+                {series.map((s) => (
+                  <circle
+                    key={s.key}
+                    cx={x(activeIndex)}
+                    cy={y(activePoint[s.key] ?? 0)}
+                    r={4}
+                    fill={s.color}
+                    className="stroke-white dark:stroke-gray-800"
+                    strokeWidth={2}
+                  />
+                ))}
+              </g>
+            )}
+          </svg>
+        )}
+
+        {activePoint && (
+          <ChartTooltip
+            x={x(activeIndex)}
+            y={MARGIN.top}
+            width={width}
+            title={formatLabel(activePoint.date)}
+            rows={series.map((s) => ({
+              key: s.key,
+              label: s.label,
+              color: s.color,
+              value: formatValue(activePoint[s.key] ?? 0)
+            }))}
+          />
+        )}
+      </div>
+
+      <ChartLegend items={series} className="mt-3" />
+    </div>
+  );
+};
+
+export default TimeSeriesChart;
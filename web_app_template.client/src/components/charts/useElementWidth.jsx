@@ -0,0 +1,21 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Tracks an element's rendered width so SVG charts can redraw at any size
+export const useElementWidth = () => {
+  const ref = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return;
+
+    setWidth(element.clientWidth);
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.floor(entry.contentRect.width));
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  return [ref, width];
+};
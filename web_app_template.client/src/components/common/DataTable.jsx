@@ -0,0 +1,167 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, ArrowUpDown } from 'lucide-react';
+import { useTranslation } from '../../i18n/useTranslation';
+import { toggleSort } from '../../utils/tableSort';
+import { useTableLayout, Densities } from './useTableLayout';
+import DataTableColumnMenu from './DataTableColumnMenu';
+
+const cellPadding = {
+  [Densities.Comfortable]: 'px-6 py-4',
+  [Densities.Compact]: 'px-4 py-2'
+};
+
+const ariaSort = { asc: 'ascending', desc: 'descending' };
+
+/**
+ * Listing table with server-driven sorting and a per-user column layout.
+ *
+ * `columns` are { id, header, render(row), sortable, align, hideable,
+ * defaultHidden }. `sort` is the ordered [{ id, direction }] the parent sends
+ * to its API; clicking a header replaces it, shift-click adds a level.
+ * Passing `selection` (from useRowSelection) adds a checkbox column.
+ */
+const DataTable = ({
+  tableId,
+  columns,
+  rows,
+  getRowKey = (row) => row.id,
+  loading = false,
+  sort = [],
+  onSortChange,
+  emptyMessage,
+  toolbar,
+  selection
+}) => {
+  const { t } = useTranslation();
+  const { layout, updateLayout, resetLayout } = useTableLayout(tableId, columns);
+
+  const columnsById = Object.fromEntries(columns.map(column => [column.id, column]));
+  const visibleColumns = layout.order
+    .filter(id => !layout.hidden.includes(id))
+    .map(id => columnsById[id]);
+  const padding = cellPadding[layout.density];
+  const somePageRowsSelected = selection && !selection.pageSelected && rows.some(selection.isRowSelected);
+
+  const handleSort = (event, column) => {
+    if (!column.sortable || !onSortChange) return;
+    onSortChange(toggleSort(sort, column.id, event.shiftKey));
+  };
+
+  const renderSortIcon = (column) => {
+    const index = sort.findIndex(entry => entry.id === column.id);
+    if (index === -1) {
+      return <ArrowUpDown className="h-3.5 w-3.5 opacity-0 group-hover:opacity-50" />;
+    }
+    const Arrow = sort[index].direction === 'desc' ? ArrowDown : ArrowUp;
+    return (
+      <span className="inline-flex items-center text-primary-600 dark:text-primary-400">
+        <Arrow className="h-3.5 w-3.5" />
+        {sort.length > 1 && <span className="ml-0.5 text-[10px]">{index + 1}</span>}
+      </span>
+    );
+  };
+
+  return (
+    <div className="card p-0 overflow-hidden">
+      <div className="flex items-center justify-between gap-4 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex items-center gap-2 min-w-0">{toolbar}</div>
+        <DataTableColumnMenu
+          columns={columns}
+          layout={layout}
+          onChange={updateLayout}
+          onReset={resetLayout}
+        />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : rows.length === 0 ? (
+        <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+          {emptyMessage || t('dataTable.empty')}
+        </p>
+      ) : (
+        <div className="overflow-auto max-h-[70vh]">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead>
+              <tr>
+                {selection && (
+                  <th scope="col" className={`sticky top-0 z-10 w-4 bg-gray-50 dark:bg-gray-900 ${padding}`}>
+                    <input
+                      type="checkbox"
+                      checked={selection.pageSelected}
+                      ref={(input) => {
+                        if (input) input.indeterminate = somePageRowsSelected;
+                      }}
+                      onChange={(e) => selection.togglePage(e.target.checked)}
+                      className="h-4 w-4 text-primary-600 rounded border-gray-300 dark:border-gray-600"
+                      aria-label={t('dataTable.selectPage')}
+                    />
+                  </th>
+                )}
+                {visibleColumns.map((column) => {
+                  const sortEntry = sort.find(entry => entry.id === column.id);
+                  const alignment = column.align === 'right' ? 'text-right' : 'text-left';
+
+                  return (
+                    <th
+                      key={column.id}
+                      scope="col"
+                      aria-sort={sortEntry ? ariaSort[sortEntry.direction] : undefined}
+                      className={`sticky top-0 z-10 bg-gray-50 dark:bg-gray-900 ${padding} ${alignment} text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider`}
+                    >
+                      {column.sortable && onSortChange ? (
+                        <button
+                          type="button"
+                          onClick={(event) => handleSort(event, column)}
+                          className="group inline-flex items-center gap-1 uppercase tracking-wider hover:text-gray-700 dark:hover:text-gray-200"
+                          title={t('dataTable.sortHint')}
+                        >
+                          {column.header}
+                          {renderSortIcon(column)}
+                        </button>
+                      ) : column.header}
+                    </th>
+                  );
+                })}
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+              {rows.map((row) => (
+                <tr
+                  key={getRowKey(row)}
+                  className={selection?.isRowSelected(row)
+                    ? 'bg-primary-50 dark:bg-primary-900/20'
+                    : 'hover:bg-gray-50 dark:hover:bg-gray-700'}
+                >
+                  {selection && (
+                    <td className={`w-4 ${padding}`}>
+                      <input
+                        type="checkbox"
+                        checked={selection.isRowSelected(row)}
+                        onChange={(e) => selection.toggleRow(row, e.target.checked)}
+                        className="h-4 w-4 text-primary-600 rounded border-gray-300 dark:border-gray-600"
+                        aria-label={t('dataTable.selectRow')}
+                      />
+                    </td>
+                  )}
+                  {visibleColumns.map((column) => (
+                    <td
+                      key={column.id}
+                      className={`${padding} whitespace-nowrap text-sm ${column.align === 'right' ? 'text-right' : ''} ${column.className || ''}`}
+                    >
+                      {column.render(row)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataTable;
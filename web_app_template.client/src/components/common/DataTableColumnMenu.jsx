@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Columns, ChevronUp, ChevronDown } from 'lucide-react';
+import { useTranslation } from '../../i18n/useTranslation';
+import { Densities } from './useTableLayout';
+
+const moveItem = (list, index, offset) => {
+  const next = [...list];
+  const [item] = next.splice(index, 1);
+  next.splice(index + offset, 0, item);
+  return next;
+};
+
+// Show/hide, reorder and density controls for a DataTable
+const DataTableColumnMenu = ({ columns, layout, onChange, onReset }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (event) => {
+      if (!menuRef.current?.contains(event.target)) setOpen(false);
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  const columnsById = Object.fromEntries(columns.map(column => [column.id, column]));
+  const visibleCount = layout.order.filter(id => !layout.hidden.includes(id)).length;
+
+  const toggleColumn = (id) => {
+    onChange({
+      hidden: layout.hidden.includes(id)
+        ? layout.hidden.filter(hiddenId => hiddenId !== id)
+        : [...layout.hidden, id]
+    });
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="flex items-center px-3 py-1.5 text-sm font-medium rounded-lg border border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+        aria-expanded={open}
+      >
+        <Columns className="h-4 w-4 mr-2" />
+        {t('dataTable.columns')}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-30 mt-2 w-64 rounded-md bg-white dark:bg-gray-800 py-2 shadow-lg ring-1 ring-black dark:ring-white/10 ring-opacity-5">
+          <ul className="max-h-72 overflow-y-auto">
+            {layout.order.map((id, index) => {
+              const column = columnsById[id];
+              const visible = !layout.hidden.includes(id);
+              // The last visible column and always-on columns cannot be hidden
+              const locked = column.hideable === false || (visible && visibleCount === 1);
+
+              return (
+                <li key={id} className="flex items-center px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300">
+                  <label className="flex flex-1 items-center min-w-0">
+                    <input
+                      type="checkbox"
+                      checked={visible}
+                      disabled={locked}
+                      onChange={() => toggleColumn(id)}
+                      className="h-4 w-4 text-primary-600 rounded border-gray-300 dark:border-gray-600 disabled:opacity-50"
+                    />
+                    <span className="ml-2 truncate">{column.header}</span>
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => onChange({ order: moveItem(layout.order, index, -1) })}
+                    disabled={index === 0}
+                    className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-30"
+                    title={t('dataTable.moveUp')}
+                  >
+                    <ChevronUp className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onChange({ order: moveItem(layout.order, index, 1) })}
+                    disabled={index === layout.order.length - 1}
+                    className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-30"
+                    title={t('dataTable.moveDown')}
+                  >
+                    <ChevronDown className="h-4 w-4" />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="mt-2 border-t border-gray-100 dark:border-gray-700 px-3 pt-2">
+            <p className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{t('dataTable.density')}</p>
+            <div className="mt-1 flex gap-1">
+              {Object.values(Densities).map((density) => (
+                <button
+                  key={density}
+                  type="button"
+                  onClick={() => onChange({ density })}
+                  className={`flex-1 px-2 py-1 text-sm rounded-md ${
+                    layout.density === density
+                      ? 'bg-primary-100 dark:bg-primary-900/40 text-primary-900 dark:text-primary-100'
+                      : 'text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  {t(`dataTable.densities.${density}`)}
+                </button>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={onReset}
+              className="mt-2 text-sm font-medium text-primary-600 hover:text-primary-500"
+            >
+              {t('dataTable.resetLayout')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataTableColumnMenu;
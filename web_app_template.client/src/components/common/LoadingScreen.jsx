@@ -0,0 +1,12 @@
+import React from 'react';
+
+// Full-page placeholder while the session is being restored
+const LoadingScreen = () => {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+      <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600"></div>
+    </div>
+  );
+};
+
+export default LoadingScreen;
@@ -0,0 +1,27 @@
+import React, { useState, useEffect } from 'react';
+import { useFormatter } from '../../i18n/useFormatter';
+import { getRelativeRefreshInterval } from '../../utils/format';
+
+// "5 minutes ago" that keeps itself current; the absolute time shows on hover
+const RelativeTime = ({ value, className }) => {
+  const { formatRelativeTime, formatDateTime } = useFormatter();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const interval = getRelativeRefreshInterval(value, now);
+    if (!interval) return;
+    const timer = setTimeout(() => setNow(Date.now()), interval);
+    return () => clearTimeout(timer);
+  }, [value, now]);
+
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+
+  return (
+    <time dateTime={date.toISOString()} title={formatDateTime(value)} className={className}>
+      {formatRelativeTime(value, now)}
+    </time>
+  );
+};
+
+export default RelativeTime;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { normalizeRole } from '../../utils/permissions';
+import { useTranslation } from '../../i18n/useTranslation';
+
+const getRoleColor = (role) => {
+  switch (normalizeRole(role)) {
+    case 'admin':
+      return 'bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-300';
+    case 'manager':
+      return 'bg-yellow-100 dark:bg-yellow-900/40 text-yellow-800 dark:text-yellow-300';
+    case 'user':
+      return 'bg-blue-100 dark:bg-blue-900/40 text-blue-800 dark:text-blue-300';
+    default:
+      return 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200';
+  }
+};
+
+// One colored badge per role a user holds
+const RoleBadges = ({ roles = [], compact = false }) => {
+  const { t } = useTranslation();
+  const shape = compact ? 'px-2 py-0.5 rounded' : 'px-2.5 py-0.5 rounded-full';
+
+  return (
+    <span className="inline-flex flex-wrap gap-1">
+      {roles.map((role) => (
+        <span
+          key={role}
+          className={`inline-flex items-center ${shape} text-xs font-medium ${getRoleColor(role)}`}
+        >
+          {t(`roles.${normalizeRole(role)}`, { defaultValue: role })}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+export default RoleBadges;
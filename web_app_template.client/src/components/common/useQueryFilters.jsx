@@ -0,0 +1,33 @@
+import { useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+/**
+ * Filters and paging kept in the query string so filtered views can be
+ * bookmarked. Empty and 'all' values drop their key, and any update that
+ * does not set the page itself goes back to the first page.
+ */
+export const useQueryFilters = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const updateSearchParams = useCallback((updates) => {
+    setSearchParams((params) => {
+      const next = new URLSearchParams(params);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value === '' || value === 'all' || value === null || value === undefined) {
+          next.delete(key);
+        } else {
+          next.set(key, value);
+        }
+      });
+      if (!('page' in updates)) {
+        next.delete('page');
+      }
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  const currentPage = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const setCurrentPage = (page) => updateSearchParams({ page: page > 1 ? page : null });
+
+  return { searchParams, updateSearchParams, currentPage, setCurrentPage };
+};
@@ -0,0 +1,57 @@
+import { useState } from 'react';
+
+const emptySelection = { allMatching: false, rows: {}, excludedKeys: [] };
+
+/**
+ * Checkbox selection for a paged DataTable. Rows are picked one by one or a
+ * page at a time; `selectAllMatching` extends it to every row the server
+ * would return for the current filters, minus any unchecked afterwards.
+ */
+export const useRowSelection = ({ rows, totalCount, getRowKey = (row) => row.id }) => {
+  const [selection, setSelection] = useState(emptySelection);
+
+  const isRowSelected = (row) => {
+    const key = getRowKey(row);
+    return selection.allMatching
+      ? !selection.excludedKeys.includes(key)
+      : key in selection.rows;
+  };
+
+  const setRowsSelected = (targetRows, selected) => {
+    const keys = targetRows.map(getRowKey);
+    setSelection((current) => {
+      if (current.allMatching) {
+        return {
+          ...current,
+          excludedKeys: selected
+            ? current.excludedKeys.filter(key => !keys.includes(key))
+            : [...new Set([...current.excludedKeys, ...keys])]
+        };
+      }
+      const nextRows = { ...current.rows };
+      targetRows.forEach((row) => {
+        if (selected) nextRows[getRowKey(row)] = row;
+        else delete nextRows[getRowKey(row)];
+      });
+      return { ...current, rows: nextRows };
+    });
+  };
+
+  const selectedCount = selection.allMatching
+    ? Math.max(0, totalCount - selection.excludedKeys.length)
+    : Object.keys(selection.rows).length;
+
+  return {
+    allMatching: selection.allMatching,
+    excludedKeys: selection.excludedKeys,
+    // Rows picked explicitly; empty while every matching row is selected
+    selectedRows: Object.values(selection.rows),
+    selectedCount,
+    pageSelected: rows.length > 0 && rows.every(isRowSelected),
+    isRowSelected,
+    toggleRow: (row, selected) => setRowsSelected([row], selected),
+    togglePage: (selected) => setRowsSelected(rows, selected),
+    selectAllMatching: () => setSelection({ ...emptySelection, allMatching: true }),
+    clear: () => setSelection(emptySelection)
+  };
+};
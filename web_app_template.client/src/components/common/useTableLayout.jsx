@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+
+export const Densities = {
+  Comfortable: 'comfortable',
+  Compact: 'compact'
+};
+
+const storageKey = (tableId, userId) => `tableLayout:${tableId}:${userId ?? 'anonymous'}`;
+
+const readLayout = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || null;
+  } catch {
+    return null;
+  }
+};
+
+const getDefaultLayout = (columns) => ({
+  order: columns.map(column => column.id),
+  hidden: columns.filter(column => column.defaultHidden).map(column => column.id),
+  density: Densities.Comfortable
+});
+
+// Drops columns that no longer exist and appends ones added since the save
+const mergeLayout = (saved, columns) => {
+  const defaults = getDefaultLayout(columns);
+  if (!saved) return defaults;
+
+  const ids = new Set(defaults.order);
+  const order = (saved.order || []).filter(id => ids.has(id));
+  defaults.order.forEach(id => {
+    if (!order.includes(id)) order.push(id);
+  });
+
+  return {
+    order,
+    hidden: (saved.hidden || []).filter(id => ids.has(id)),
+    density: Object.values(Densities).includes(saved.density) ? saved.density : defaults.density
+  };
+};
+
+/**
+ * Column order, visibility and row density for one table, remembered per
+ * signed-in user in this browser.
+ */
+export const useTableLayout = (tableId, columns) => {
+  const { user } = useAuth();
+  const key = storageKey(tableId, user?.id);
+  const [stored, setStored] = useState(() => ({ key, value: readLayout(key) }));
+
+  // A different user signing in on the same browser gets their own layout
+  const saved = stored.key === key ? stored.value : readLayout(key);
+  const layout = mergeLayout(saved, columns);
+
+  const updateLayout = (changes) => {
+    const next = { ...layout, ...changes };
+    localStorage.setItem(key, JSON.stringify(next));
+    setStored({ key, value: next });
+  };
+
+  const resetLayout = () => {
+    localStorage.removeItem(key);
+    setStored({ key, value: null });
+  };
+
+  return { layout, updateLayout, resetLayout };
+};
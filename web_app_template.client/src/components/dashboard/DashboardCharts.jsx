@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { dashboardAPI } from '../../services/dashboardAPI';
+import { normalizeRole } from '../../utils/permissions';
+import { useTranslation } from '../../i18n/useTranslation';
+import { useFormatter } from '../../i18n/useFormatter';
+import TimeSeriesChart from '../charts/TimeSeriesChart';
+import DonutChart from '../charts/DonutChart';
+import { useDashboardPeriod } from './useDashboardPeriod';
+
+// Same hues as RoleBadges
+const roleColors = {
+  admin: '#ef4444',
+  manager: '#eab308',
+  user: '#3b82f6'
+};
+
+const ChartCard = ({ title, children }) => (
+  <div className="card">
+    <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">{title}</h3>
+    {children}
+  </div>
+);
+
+const ChartSkeleton = () => (
+  <div className="h-60 rounded bg-gray-100 dark:bg-gray-700 animate-pulse"></div>
+);
+
+// Trend charts for the period picked in StatsCards; they reload whenever the
+// stat cards do through the shared `refreshKey`
+const DashboardCharts = ({ refreshKey }) => {
+  const [trends, setTrends] = useState(null);
+  const [error, setError] = useState('');
+  const [period] = useDashboardPeriod();
+  const { t } = useTranslation();
+  const { timeZone, formatDate, formatNumber, formatPercent } = useFormatter();
+  const latestRequest = useRef(0);
+
+  // A response for a previous period, timezone or refresh is dropped
+  const loadTrends = useCallback(async () => {
+    const request = ++latestRequest.current;
+    setError('');
+    try {
+      const response = await dashboardAPI.getTrends(period, timeZone);
+      if (request !== latestRequest.current) return;
+      setTrends(response.data);
+    } catch (loadError) {
+      if (request !== latestRequest.current) return;
+      setError(loadError.message);
+    }
+  }, [period, timeZone]);
+
+  useEffect(() => {
+    setTrends(null);
+  }, [period, timeZone]);
+
+  useEffect(() => {
+    loadTrends();
+  }, [loadTrends, refreshKey]);
+
+  // Buckets are calendar days ("2025-01-31"), already in the user's timezone
+  const formatDay = (date) => formatDate(date, { timeZone: 'UTC', month: 'short', day: 'numeric' });
+
+  if (error && !trends) {
+    return (
+      <div className="flex items-center justify-between p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+        <span className="flex items-center">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </span>
+        <button type="button" onClick={loadTrends} className="font-medium hover:underline">
+          {t('common.retry')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 gap-6 xl:grid-cols-3">
+      <ChartCard title={t('dashboard.charts.signups')}>
+        {trends ? (
+          <TimeSeriesChart
+            variant="line"
+            ariaLabel={t('dashboard.charts.signups')}
+            data={trends.signups}
+            series={[{ key: 'value', label: t('dashboard.charts.newUsers'), color: '#2563eb' }]}
+            formatLabel={formatDay}
+            formatValue={formatNumber}
+          />
+        ) : <ChartSkeleton />}
+      </ChartCard>
+
+      <ChartCard title={t('dashboard.charts.dailyLogins')}>
+        {trends ? (
+          <TimeSeriesChart
+            variant="bar"
+            ariaLabel={t('dashboard.charts.dailyLogins')}
+            data={trends.dailyLogins}
+            series={[{ key: 'value', label: t('dashboard.charts.activeUsers'), color: '#22c55e' }]}
+            formatLabel={formatDay}
+            formatValue={formatNumber}
+          />
+        ) : <ChartSkeleton />}
+      </ChartCard>
+
+      <ChartCard title={t('dashboard.charts.roleDistribution')}>
+        {trends ? (
+          <DonutChart
+            ariaLabel={t('dashboard.charts.roleDistribution')}
+            totalLabel={t('dashboard.stats.totalUsers')}
+            data={trends.roleDistribution.map(({ role, count }) => ({
+              key: role,
+              label: t(`roles.${normalizeRole(role)}`, { defaultValue: role }),
+              value: count,
+              color: roleColors[normalizeRole(role)] || '#9ca3af'
+            }))}
+            formatValue={formatNumber}
+            formatShare={(ratio) => formatPercent(ratio, { maximumFractionDigits: 0 })}
+          />
+        ) : <ChartSkeleton />}
+      </ChartCard>
+    </div>
+  );
+};
+
+export default DashboardCharts;
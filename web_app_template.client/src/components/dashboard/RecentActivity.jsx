@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Clock, User, AlertCircle } from 'lucide-react';
+import { useAuth, usePermission } from '../../contexts/AuthContext';
+import { auditAPI } from '../../services/auditAPI';
+import { Permissions } from '../../utils/permissions';
+import { describeAuditEntry } from '../../utils/audit';
+import { useTranslation } from '../../i18n/useTranslation';
+import RelativeTime from '../common/RelativeTime';
+
+const RECENT_LIMIT = 5;
+
+// Latest audit entries: everyone's for auditors, otherwise the user's own
+const RecentActivity = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { user } = useAuth();
+  const canViewAuditLog = usePermission(Permissions.ViewAuditLog);
+  const { t } = useTranslation();
+
+  const actorId = canViewAuditLog ? undefined : user?.id;
+
+  useEffect(() => {
+    const loadEntries = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await auditAPI.getRecent(RECENT_LIMIT, actorId);
+        setEntries(response.data);
+      } catch (loadError) {
+        setError(loadError.message);
+      }
+      setLoading(false);
+    };
+
+    loadEntries();
+  }, [actorId]);
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">{t('dashboard.recentActivity')}</h3>
+        {canViewAuditLog && (
+          <Link to="/audit" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+            {t('dashboard.viewAllActivity')}
+          </Link>
+        )}
+      </div>
+
+      {error && (
+        <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="space-y-4">
+          {Array.from({ length: 3 }, (_, index) => (
+            <div key={index} className="flex items-start space-x-3 animate-pulse">
+              <div className="h-8 w-8 rounded-full bg-gray-200 dark:bg-gray-700"></div>
+              <div className="flex-1 space-y-2">
+                <div className="h-3 w-1/3 rounded bg-gray-200 dark:bg-gray-700"></div>
+                <div className="h-3 w-2/3 rounded bg-gray-200 dark:bg-gray-700"></div>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : !error && entries.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('dashboard.noActivity')}</p>
+      ) : (
+        <div className="space-y-4">
+          {entries.map((entry) => (
+            <div key={entry.id} className="flex items-start space-x-3">
+              {entry.actorAvatar ? (
+                <img
+                  className="h-8 w-8 rounded-full"
+                  src={entry.actorAvatar}
+                  alt=""
+                />
+              ) : (
+                <div className="flex h-8 w-8 items-center justify-center rounded-full bg-gray-100 dark:bg-gray-700">
+                  <User className="h-4 w-4 text-gray-400" />
+                </div>
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                  {entry.actorName || entry.actorEmail || t('audit.unknownActor')}
+                </p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {describeAuditEntry(entry, t)}
+                </p>
+              </div>
+              <div className="flex items-center text-xs text-gray-400">
+                <Clock className="h-3 w-3 mr-1" />
+                <RelativeTime value={entry.createdAt} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecentActivity;
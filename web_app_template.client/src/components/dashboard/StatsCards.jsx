@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Users, Activity, TrendingUp, Shield, AlertCircle, RefreshCw } from 'lucide-react';
+import { dashboardAPI, DashboardPeriods } from '../../services/dashboardAPI';
+import { useTranslation } from '../../i18n/useTranslation';
+import { useFormatter } from '../../i18n/useFormatter';
+import RelativeTime from '../common/RelativeTime';
+import { useDashboardPeriod } from './useDashboardPeriod';
+
+// `higherIsBetter` decides whether a rise is shown in green or red
+const statCards = [
+  { key: 'totalUsers', icon: Users, color: 'bg-blue-500', format: 'number', higherIsBetter: true },
+  { key: 'activeSessions', icon: Activity, color: 'bg-green-500', format: 'number', higherIsBetter: true },
+  { key: 'systemLoad', icon: TrendingUp, color: 'bg-yellow-500', format: 'percent', higherIsBetter: false },
+  { key: 'securityScore', icon: Shield, color: 'bg-red-500', format: 'number', higherIsBetter: true }
+];
+
+// `refreshKey` and `onRefresh` come from Dashboard's useDashboardRefresh, so
+// the refresh button reloads the charts as well
+const StatsCards = ({ refreshKey, onRefresh }) => {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [period, setPeriod] = useDashboardPeriod();
+  const { t } = useTranslation();
+  const { formatNumber, formatPercent } = useFormatter();
+  const latestRequest = useRef(0);
+
+  // A response for a previous period or refresh is dropped
+  const loadStats = useCallback(async () => {
+    const request = ++latestRequest.current;
+    setLoading(true);
+    setError('');
+    try {
+      const response = await dashboardAPI.getStats(period);
+      if (request !== latestRequest.current) return;
+      setStats(response.data);
+    } catch (loadError) {
+      if (request !== latestRequest.current) return;
+      // Stale numbers stay on screen; the banner says they could not be updated
+      setError(loadError.message);
+    }
+    setLoading(false);
+  }, [period]);
+
+  useEffect(() => {
+    setStats(null);
+  }, [period]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats, refreshKey]);
+
+  const formatValue = (card, value) => {
+    if (value === null || value === undefined) return '—';
+    return card.format === 'percent' ? formatPercent(value) : formatNumber(value);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div className="flex items-center text-sm text-gray-500 dark:text-gray-400">
+          {stats?.generatedAt && (
+            <span>
+              {t('dashboard.updated')} <RelativeTime value={stats.generatedAt} />
+            </span>
+          )}
+          <button
+            type="button"
+            onClick={onRefresh}
+            disabled={loading}
+            className="ml-2 p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-50"
+            title={t('dashboard.refresh')}
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+        <div className="inline-flex rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 p-0.5">
+          {DashboardPeriods.map((days) => (
+            <button
+              key={days}
+              type="button"
+              onClick={() => setPeriod(days)}
+              className={`px-3 py-1 text-sm font-medium rounded-md ${
+                period === days
+                  ? 'bg-primary-100 dark:bg-primary-900/40 text-primary-900 dark:text-primary-100'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100'
+              }`}
+            >
+              {t('dashboard.periods.lastDays', { count: days })}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center justify-between p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+          <span className="flex items-center">
+            <AlertCircle className="w-4 h-4 mr-2" />
+            {stats ? t('dashboard.staleStats', { error }) : error}
+          </span>
+          <button type="button" onClick={loadStats} className="font-medium hover:underline">
+            {t('common.retry')}
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
+        {statCards.map((card) => {
+          const metric = stats?.[card.key];
+          const improved = (metric?.change > 0) === card.higherIsBetter;
+
+          return (
+            <div key={card.key} className="card">
+              <div className="flex items-center">
+                <div className={`flex-shrink-0 p-3 rounded-lg ${card.color} bg-opacity-10`}>
+                  <card.icon className={`h-6 w-6 ${card.color.replace('bg-', 'text-')}`} />
+                </div>
+                <div className="ml-4 flex-1">
+                  <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{t(`dashboard.stats.${card.key}`)}</p>
+                  {stats ? (
+                    <p className="text-2xl font-semibold text-gray-900 dark:text-gray-100">{formatValue(card, metric?.value)}</p>
+                  ) : (
+                    <div className="mt-1 h-8 w-20 rounded bg-gray-200 dark:bg-gray-700 animate-pulse"></div>
+                  )}
+                </div>
+              </div>
+              <div className="mt-4 h-6">
+                {typeof metric?.change === 'number' && (
+                  <>
+                    <span className={`inline-flex items-baseline px-2.5 py-0.5 rounded-full text-sm font-medium ${
+                      metric.change === 0
+                        ? 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200'
+                        : improved
+                          ? 'bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-300'
+                          : 'bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-300'
+                    }`}>
+                      {formatPercent(metric.change, { signDisplay: 'exceptZero' })}
+                    </span>
+                    <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                      {t('dashboard.comparedToPrevious', { count: period })}
+                    </span>
+                  </>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default StatsCards;
@@ -0,0 +1,24 @@
+import { useSearchParams } from 'react-router-dom';
+import { DashboardPeriods } from '../../services/dashboardAPI';
+
+const DEFAULT_PERIOD = 30;
+
+// Kept in the URL like the Users filters, so a chosen period survives reloads
+// and every dashboard widget reads the same one
+export const useDashboardPeriod = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const requestedPeriod = parseInt(searchParams.get('period'), 10);
+  const period = DashboardPeriods.includes(requestedPeriod) ? requestedPeriod : DEFAULT_PERIOD;
+
+  const setPeriod = (days) => {
+    setSearchParams((params) => {
+      const next = new URLSearchParams(params);
+      if (days === DEFAULT_PERIOD) next.delete('period');
+      else next.set('period', days);
+      return next;
+    }, { replace: true });
+  };
+
+  return [period, setPeriod];
+};
@@ -0,0 +1,30 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const REFRESH_INTERVAL = 60 * 1000;
+
+// One refresh signal shared by the dashboard widgets, so the stat cards and
+// the charts always reload together. It ticks on an interval while the tab is
+// visible, when the tab is shown again and when `refresh` is called.
+export const useDashboardRefresh = () => {
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const refresh = useCallback(() => setRefreshKey(key => key + 1), []);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      if (document.visibilityState === 'visible') refresh();
+    }, REFRESH_INTERVAL);
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') refresh();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [refresh]);
+
+  return [refreshKey, refresh];
+};
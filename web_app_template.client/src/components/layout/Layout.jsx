@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { useTranslation } from '../../i18n/useTranslation';
+import { Permissions, hasPermission, getPrimaryRole } from '../../utils/permissions';
+import RoleBadges from '../common/RoleBadges';
 import { 
   Menu, 
   X, 
@@ -10,7 +13,8 @@ import {
   LogOut, 
   ChevronDown,
   User,
-  Shield
+  Shield,
+  ScrollText
 } from 'lucide-react';
 
 const Layout = ({ children }) => {
@@ -18,29 +22,22 @@ const Layout = ({ children }) => {
   const [userMenuOpen, setUserMenuOpen] = useState(false);
   const { user, logout } = useAuth();
   const location = useLocation();
+  const { t } = useTranslation();
 
   const navigation = [
-    { name: 'Dashboard', href: '/dashboard', icon: Home, roles: ['admin', 'manager', 'user'] },
-    { name: 'Users', href: '/users', icon: Users, roles: ['admin'] },
-    { name: 'Settings', href: '/settings', icon: Settings, roles: ['admin', 'manager', 'user'] },
+    { name: t('nav.dashboard'), href: '/dashboard', icon: Home, permission: Permissions.ViewDashboard },
+    { name: t('nav.users'), href: '/users', icon: Users, permission: Permissions.ManageUsers },
+    { name: t('nav.auditLog'), href: '/audit', icon: ScrollText, permission: Permissions.ViewAuditLog },
+    { name: t('nav.settings'), href: '/settings', icon: Settings, permission: Permissions.ManageOwnSettings },
   ];
 
   const filteredNavigation = navigation.filter(item => 
-    item.roles.includes(user?.role)
+    hasPermission(user, item.permission)
   );
 
-  const getRoleColor = (role) => {
-    switch (role) {
-      case 'admin':
-        return 'bg-red-100 text-red-800';
-      case 'manager':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'user':
-        return 'bg-blue-100 text-blue-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
-    }
-  };
+  // Detail pages such as /users/:id keep their section highlighted
+  const isCurrentSection = (href) =>
+    location.pathname === href || location.pathname.startsWith(`${href}/`);
 
   const getRoleIcon = (role) => {
     switch (role) {
@@ -56,31 +53,31 @@ const Layout = ({ children }) => {
   };
 
   return (
-    <div className="min-h-screen bg-gray-50">
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
       {/* Mobile sidebar */}
       <div className={`fixed inset-0 z-50 lg:hidden ${sidebarOpen ? 'block' : 'hidden'}`}>
         <div className="fixed inset-0 bg-gray-600 bg-opacity-75" onClick={() => setSidebarOpen(false)} />
-        <div className="fixed inset-y-0 left-0 flex w-64 flex-col bg-white">
+        <div className="fixed inset-y-0 left-0 flex w-64 flex-col bg-white dark:bg-gray-800">
           <div className="flex h-16 items-center justify-between px-4">
-            <h1 className="text-xl font-semibold text-gray-900">Admin Portal</h1>
+            <h1 className="text-xl font-semibold text-gray-900 dark:text-gray-100">{t('common.appName')}</h1>
             <button
               onClick={() => setSidebarOpen(false)}
-              className="text-gray-400 hover:text-gray-600"
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
             >
               <X className="h-6 w-6" />
             </button>
           </div>
           <nav className="flex-1 space-y-1 px-2 py-4">
             {filteredNavigation.map((item) => {
-              const isActive = location.pathname === item.href;
+              const isActive = isCurrentSection(item.href);
               return (
                 <Link
-                  key={item.name}
+                  key={item.href}
                   to={item.href}
                   className={`group flex items-center px-2 py-2 text-sm font-medium rounded-md ${
                     isActive
-                      ? 'bg-primary-100 text-primary-900'
-                      : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+                      ? 'bg-primary-100 dark:bg-primary-900/40 text-primary-900 dark:text-primary-100'
+                      : 'text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700 hover:text-gray-900 dark:hover:text-gray-100'
                   }`}
                   onClick={() => setSidebarOpen(false)}
                 >
@@ -95,21 +92,21 @@ const Layout = ({ children }) => {
 
       {/* Desktop sidebar */}
       <div className="hidden lg:fixed lg:inset-y-0 lg:flex lg:w-64 lg:flex-col">
-        <div className="flex flex-col flex-grow bg-white border-r border-gray-200">
+        <div className="flex flex-col flex-grow bg-white dark:bg-gray-800 border-r border-gray-200 dark:border-gray-700">
           <div className="flex h-16 items-center px-4">
-            <h1 className="text-xl font-semibold text-gray-900">Admin Portal</h1>
+            <h1 className="text-xl font-semibold text-gray-900 dark:text-gray-100">{t('common.appName')}</h1>
           </div>
           <nav className="flex-1 space-y-1 px-2 py-4">
             {filteredNavigation.map((item) => {
-              const isActive = location.pathname === item.href;
+              const isActive = isCurrentSection(item.href);
               return (
                 <Link
-                  key={item.name}
+                  key={item.href}
                   to={item.href}
                   className={`group flex items-center px-2 py-2 text-sm font-medium rounded-md ${
                     isActive
-                      ? 'bg-primary-100 text-primary-900'
-                      : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+                      ? 'bg-primary-100 dark:bg-primary-900/40 text-primary-900 dark:text-primary-100'
+                      : 'text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700 hover:text-gray-900 dark:hover:text-gray-100'
                   }`}
                 >
                   <item.icon className="mr-3 h-5 w-5" />
@@ -124,10 +121,10 @@ const Layout = ({ children }) => {
       {/* Main content */}
       <div className="lg:pl-64">
         {/* Top header */}
-        <div className="sticky top-0 z-40 flex h-16 shrink-0 items-center gap-x-4 border-b border-gray-200 bg-white px-4 shadow-sm sm:gap-x-6 sm:px-6 lg:px-8">
+        <div className="sticky top-0 z-40 flex h-16 shrink-0 items-center gap-x-4 border-b border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 px-4 shadow-sm sm:gap-x-6 sm:px-6 lg:px-8">
           <button
             type="button"
-            className="-m-2.5 p-2.5 text-gray-700 lg:hidden"
+            className="-m-2.5 p-2.5 text-gray-700 dark:text-gray-300 lg:hidden"
             onClick={() => setSidebarOpen(true)}
           >
             <Menu className="h-6 w-6" />
@@ -140,7 +137,7 @@ const Layout = ({ children }) => {
               <div className="relative">
                 <button
                   onClick={() => setUserMenuOpen(!userMenuOpen)}
-                  className="flex items-center gap-x-3 text-sm font-medium text-gray-900 hover:text-gray-700"
+                  className="flex items-center gap-x-3 text-sm font-medium text-gray-900 dark:text-gray-100 hover:text-gray-700 dark:hover:text-gray-200"
                 >
                   <img
                     className="h-8 w-8 rounded-full"
@@ -152,23 +149,23 @@ const Layout = ({ children }) => {
                 </button>
 
                 {userMenuOpen && (
-                  <div className="absolute right-0 z-10 mt-2 w-48 origin-top-right rounded-md bg-white py-1 shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none">
-                    <div className="px-4 py-2 text-sm text-gray-700 border-b border-gray-100">
+                  <div className="absolute right-0 z-10 mt-2 w-48 origin-top-right rounded-md bg-white dark:bg-gray-800 py-1 shadow-lg ring-1 ring-black dark:ring-white/10 ring-opacity-5 focus:outline-none">
+                    <div className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 border-b border-gray-100 dark:border-gray-700">
                       <div className="font-medium">{user?.name}</div>
-                      <div className="text-gray-500">{user?.email}</div>
+                      <div className="text-gray-500 dark:text-gray-400">{user?.email}</div>
                       <div className="flex items-center mt-1">
-                        {getRoleIcon(user?.role)}
-                        <span className={`ml-1 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${getRoleColor(user?.role)}`}>
-                          {user?.role}
+                        {getRoleIcon(getPrimaryRole(user))}
+                        <span className="ml-1">
+                          <RoleBadges roles={user?.roles} compact />
                         </span>
                       </div>
                     </div>
                     <button
-                      onClick={logout}
-                      className="flex w-full items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      onClick={() => logout()}
+                      className="flex w-full items-center px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
                     >
                       <LogOut className="mr-3 h-4 w-4" />
-                      Sign out
+                      {t('nav.signOut')}
                     </button>
                   </div>
                 )}
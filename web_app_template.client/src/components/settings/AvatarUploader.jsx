@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Camera, Check, X } from 'lucide-react';
+import { cropToSquare, ImageErrorCodes } from '../../utils/image';
+import { useTranslation } from '../../i18n/useTranslation';
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Picks an image, crops it to a square preview and hands the blob to onUpload
+const AvatarUploader = ({ src, onUpload }) => {
+  const inputRef = useRef(null);
+  const [pending, setPending] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const { t } = useTranslation();
+
+  // Release the object URL of the previous preview
+  useEffect(() => {
+    return () => {
+      if (pending) URL.revokeObjectURL(pending.url);
+    };
+  }, [pending]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    if (!file.type.startsWith('image/')) {
+      setError(t('settings.profile.avatarNotImage'));
+      return;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      setError(t('settings.profile.avatarTooLarge', { max: 5 }));
+      return;
+    }
+
+    try {
+      const blob = await cropToSquare(file);
+      setPending({ blob, url: URL.createObjectURL(blob) });
+    } catch (cropError) {
+      const code = cropError.code ?? ImageErrorCodes.ProcessingFailed;
+      setError(t(`settings.profile.imageErrors.${code}`));
+    }
+  };
+
+  const handleConfirm = async () => {
+    setUploading(true);
+    setError('');
+    try {
+      await onUpload(pending.blob);
+      setPending(null);
+    } catch (uploadError) {
+      setError(uploadError.message);
+    }
+    setUploading(false);
+  };
+
+  return (
+    <div>
+      <div className="relative">
+        <img
+          className="h-20 w-20 rounded-full object-cover"
+          src={pending?.url || src || 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=150&h=150&fit=crop&crop=face'}
+          alt=""
+        />
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          disabled={uploading}
+          className="absolute bottom-0 right-0 p-1 bg-white dark:bg-gray-800 rounded-full shadow-lg border border-gray-200 dark:border-gray-700"
+        >
+          <Camera className="h-4 w-4 text-gray-600 dark:text-gray-400" />
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept="image/*"
+          onChange={handleFileChange}
+          className="sr-only"
+        />
+      </div>
+
+      {pending && (
+        <div className="mt-2 flex items-center space-x-2">
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={uploading}
+            className="p-1 rounded-full text-green-600 hover:bg-green-50 dark:hover:bg-green-900/30 disabled:opacity-50"
+            title={t('settings.profile.avatarConfirm')}
+          >
+            {uploading ? (
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-green-600"></div>
+            ) : (
+              <Check className="h-4 w-4" />
+            )}
+          </button>
+          <button
+            type="button"
+            onClick={() => setPending(null)}
+            disabled={uploading}
+            className="p-1 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+            title={t('settings.profile.avatarDiscard')}
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+
+      {error && <p className="mt-1 text-xs text-red-600 w-32">{error}</p>}
+    </div>
+  );
+};
+
+export default AvatarUploader;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { Check, X } from 'lucide-react';
+import { passwordRules, getPasswordStrength } from '../../utils/passwordPolicy';
+import { useTranslation } from '../../i18n/useTranslation';
+
+const barColors = ['bg-red-500', 'bg-red-500', 'bg-yellow-500', 'bg-green-500', 'bg-green-600'];
+
+// Live strength bar plus the policy checklist the server will enforce
+const PasswordStrengthMeter = ({ password }) => {
+  const { score, level } = getPasswordStrength(password);
+  const { t } = useTranslation();
+
+  return (
+    <div className="mt-2 space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="flex flex-1 gap-1">
+          {[1, 2, 3, 4].map((step) => (
+            <div
+              key={step}
+              className={`h-1.5 flex-1 rounded-full ${password && score >= step ? barColors[score] : 'bg-gray-200 dark:bg-gray-700'}`}
+            />
+          ))}
+        </div>
+        <span className="w-20 text-right text-xs text-gray-500 dark:text-gray-400">{level && t(`password.strength.${level}`)}</span>
+      </div>
+      <ul className="grid grid-cols-1 gap-1 sm:grid-cols-2">
+        {passwordRules.map((rule) => {
+          const passed = rule.test(password);
+          return (
+            <li
+              key={rule.id}
+              className={`flex items-center text-xs ${passed ? 'text-green-700 dark:text-green-400' : 'text-gray-500 dark:text-gray-400'}`}
+            >
+              {passed ? <Check className="h-3 w-3 mr-1" /> : <X className="h-3 w-3 mr-1" />}
+              {t(`password.rules.${rule.id}`)}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default PasswordStrengthMeter;
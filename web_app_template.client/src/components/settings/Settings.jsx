@@ -1,27 +1,82 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import { usePreferences } from '../../contexts/PreferencesContext';
+import { useTranslation } from '../../i18n/useTranslation';
+import { supportedLocales, resolveLocale } from '../../i18n';
+import RoleBadges from '../common/RoleBadges';
+import AvatarUploader from './AvatarUploader';
+import PasswordStrengthMeter from './PasswordStrengthMeter';
+import TwoFactorSettings from './TwoFactorSettings';
+import { getFailedPasswordRules } from '../../utils/passwordPolicy';
+import { authAPI } from '../../services/authAPI';
 import { 
   User, 
   Shield, 
   Bell, 
   Globe, 
   Save,
-  Camera,
   Eye,
-  EyeOff
+  EyeOff,
+  LogOut,
+  AlertCircle,
+  CheckCircle,
+  Sun,
+  Moon,
+  Monitor
 } from 'lucide-react';
+import { Themes } from '../../utils/theme';
+
+const themeOptions = [
+  { value: Themes.Light, icon: Sun },
+  { value: Themes.Dark, icon: Moon },
+  { value: Themes.System, icon: Monitor }
+];
+
+// IANA zone names, so Intl can format dates in the chosen zone
+const timezones = [
+  { value: 'UTC', labelKey: 'utc' },
+  { value: 'America/Mexico_City', labelKey: 'mexicoCity' },
+  { value: 'America/New_York', labelKey: 'eastern' },
+  { value: 'America/Chicago', labelKey: 'central' },
+  { value: 'America/Denver', labelKey: 'mountain' },
+  { value: 'America/Los_Angeles', labelKey: 'pacific' },
+  { value: 'Europe/London', labelKey: 'london' }
+];
+
+// The browser's own zone is the default and may not be in the list above
+const getTimezoneOptions = (current) =>
+  timezones.some(({ value }) => value === current)
+    ? timezones
+    : [...timezones, { value: current }];
 
 const Settings = () => {
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, logout, refreshProfile } = useAuth();
+  const { t } = useTranslation();
   const [activeTab, setActiveTab] = useState('profile');
   const [showPassword, setShowPassword] = useState(false);
   const [saving, setSaving] = useState(false);
 
   const [profileData, setProfileData] = useState({
-    name: user?.name || '',
-    email: user?.email || '',
-    avatar: user?.avatar || ''
+    firstName: user?.firstName || '',
+    lastName: user?.lastName || '',
+    motherLastName: user?.motherLastName || ''
   });
+  const [profileError, setProfileError] = useState('');
+  const [profileFieldErrors, setProfileFieldErrors] = useState({});
+
+  // Pull the latest server profile when Settings opens
+  useEffect(() => {
+    refreshProfile();
+  }, [refreshProfile]);
+
+  // Keep the form in sync once the refreshed profile lands
+  useEffect(() => {
+    setProfileData({
+      firstName: user?.firstName || '',
+      lastName: user?.lastName || '',
+      motherLastName: user?.motherLastName || ''
+    });
+  }, [user?.firstName, user?.lastName, user?.motherLastName]);
 
   const [passwordData, setPasswordData] = useState({
     currentPassword: '',
@@ -29,81 +84,112 @@ const Settings = () => {
     confirmPassword: ''
   });
 
-  const [preferences, setPreferences] = useState({
-    emailNotifications: true,
-    pushNotifications: false,
-    darkMode: false,
-    language: 'en',
-    timezone: 'UTC'
-  });
+  const [passwordError, setPasswordError] = useState('');
+  const [passwordSuccess, setPasswordSuccess] = useState('');
+  const [passwordFieldErrors, setPasswordFieldErrors] = useState({});
+
+  // Edited locally, applied app-wide once saved. Until the first edit the
+  // form shows the saved values, so a refetch updates it; after that the
+  // draft is kept until it is saved, and refetches cannot wipe it.
+  const { preferences: savedPreferences, updatePreferences } = usePreferences();
+  const [draftPreferences, setPreferences] = useState(null);
+  const preferences = draftPreferences ?? savedPreferences;
+  const [preferencesError, setPreferencesError] = useState('');
 
   const tabs = [
-    { id: 'profile', name: 'Profile', icon: User },
-    { id: 'security', name: 'Security', icon: Shield },
-    { id: 'notifications', name: 'Notifications', icon: Bell },
-    { id: 'preferences', name: 'Preferences', icon: Globe }
+    { id: 'profile', name: t('settings.tabs.profile'), icon: User },
+    { id: 'security', name: t('settings.tabs.security'), icon: Shield },
+    { id: 'notifications', name: t('settings.tabs.notifications'), icon: Bell },
+    { id: 'preferences', name: t('settings.tabs.preferences'), icon: Globe }
   ];
 
   const handleProfileSave = async (e) => {
     e.preventDefault();
     setSaving(true);
+    setProfileError('');
+    setProfileFieldErrors({});
     
-    // Simulate API call
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    updateUser({ ...user, ...profileData });
+    try {
+      const response = await authAPI.updateProfile(profileData);
+      updateUser({ ...user, ...response.data });
+    } catch (error) {
+      setProfileError(error.message);
+      setProfileFieldErrors(error.fieldErrors || {});
+    }
     setSaving(false);
   };
 
+  // The header avatar reads from the same user object, so it updates at once
+  const handleAvatarUpload = async (image) => {
+    const response = await authAPI.uploadProfilePicture(image);
+    updateUser({ ...user, avatar: response.data });
+  };
+
   const handlePasswordChange = async (e) => {
     e.preventDefault();
+    setPasswordError('');
+    setPasswordSuccess('');
+
+    const errors = {};
+    if (!passwordData.currentPassword) {
+      errors.currentPassword = [t('validation.currentPasswordRequired')];
+    }
+    if (getFailedPasswordRules(passwordData.newPassword).length > 0) {
+      errors.newPassword = [t('validation.passwordPolicy')];
+    }
     if (passwordData.newPassword !== passwordData.confirmPassword) {
-      alert('New passwords do not match');
+      errors.confirmPassword = [t('validation.newPasswordsMismatch')];
+    }
+    setPasswordFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
       return;
     }
     
     setSaving(true);
-    // Simulate API call
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    setPasswordData({
-      currentPassword: '',
-      newPassword: '',
-      confirmPassword: ''
-    });
+    try {
+      await authAPI.changePassword(passwordData);
+      setPasswordData({
+        currentPassword: '',
+        newPassword: '',
+        confirmPassword: ''
+      });
+      setPasswordSuccess(t('settings.security.passwordChanged'));
+    } catch (error) {
+      const { password, ...fieldErrors } = error.fieldErrors || {};
+      // Identity reports policy failures as "password"; they belong to the new one
+      setPasswordFieldErrors(password ? { ...fieldErrors, newPassword: password } : fieldErrors);
+      setPasswordError(error.message);
+    }
     setSaving(false);
   };
 
+  const handleLogoutAllDevices = async () => {
+    if (window.confirm(t('settings.security.confirmSignOutEverywhere'))) {
+      await logout({ allDevices: true });
+    }
+  };
+
   const handlePreferencesSave = async (e) => {
     e.preventDefault();
     setSaving(true);
-    
-    // Simulate API call
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    setSaving(false);
-  };
+    setPreferencesError('');
 
-  const getRoleColor = (role) => {
-    switch (role) {
-      case 'admin':
-        return 'bg-red-100 text-red-800';
-      case 'manager':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'user':
-        return 'bg-blue-100 text-blue-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
+    const result = await updatePreferences(preferences);
+    if (result.success) {
+      setPreferences(null);
+    } else {
+      setPreferencesError(result.error);
     }
+    setSaving(false);
   };
 
   return (
     <div className="space-y-6">
       {/* Header */}
       <div>
-        <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
-        <p className="mt-1 text-sm text-gray-500">
-          Manage your account settings and preferences
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">{t('settings.title')}</h1>
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+          {t('settings.subtitle')}
         </p>
       </div>
 
@@ -119,8 +205,8 @@ const Settings = () => {
                   onClick={() => setActiveTab(tab.id)}
                   className={`w-full flex items-center px-3 py-2 text-sm font-medium rounded-md ${
                     activeTab === tab.id
-                      ? 'bg-primary-100 text-primary-900'
-                      : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+                      ? 'bg-primary-100 dark:bg-primary-900/40 text-primary-900 dark:text-primary-100'
+                      : 'text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700 hover:text-gray-900 dark:hover:text-gray-100'
                   }`}
                 >
                   <Icon className="mr-3 h-5 w-5" />
@@ -135,46 +221,76 @@ const Settings = () => {
         <div className="lg:col-span-3">
           {activeTab === 'profile' && (
             <div className="card">
-              <h3 className="text-lg font-medium text-gray-900 mb-6">Profile Information</h3>
+              <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-6">{t('settings.profile.title')}</h3>
               
               <div className="flex items-center mb-6">
-                <div className="relative">
-                  <img
-                    className="h-20 w-20 rounded-full"
-                    src={profileData.avatar}
-                    alt=""
-                  />
-                  <button className="absolute bottom-0 right-0 p-1 bg-white rounded-full shadow-lg border border-gray-200">
-                    <Camera className="h-4 w-4 text-gray-600" />
-                  </button>
-                </div>
+                <AvatarUploader src={user?.avatar} onUpload={handleAvatarUpload} />
                 <div className="ml-6">
-                  <h4 className="text-lg font-medium text-gray-900">{user?.name}</h4>
-                  <p className="text-sm text-gray-500">{user?.email}</p>
-                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getRoleColor(user?.role)}`}>
-                    {user?.role}
-                  </span>
+                  <h4 className="text-lg font-medium text-gray-900 dark:text-gray-100">{user?.name}</h4>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{user?.email}</p>
+                  <div className="mt-1">
+                    <RoleBadges roles={user?.roles} />
+                  </div>
                 </div>
               </div>
 
               <form onSubmit={handleProfileSave} className="space-y-4">
+                {profileError && (
+                  <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {profileError}
+                  </div>
+                )}
+
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Full Name</label>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.firstName')}</label>
                   <input
                     type="text"
-                    value={profileData.name}
-                    onChange={(e) => setProfileData({...profileData, name: e.target.value})}
+                    required
+                    maxLength={50}
+                    value={profileData.firstName}
+                    onChange={(e) => setProfileData({...profileData, firstName: e.target.value})}
                     className="input-field"
                   />
+                  {profileFieldErrors.firstName && (
+                    <p className="mt-1 text-sm text-red-600">{profileFieldErrors.firstName[0]}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.lastName')}</label>
+                  <input
+                    type="text"
+                    required
+                    maxLength={50}
+                    value={profileData.lastName}
+                    onChange={(e) => setProfileData({...profileData, lastName: e.target.value})}
+                    className="input-field"
+                  />
+                  {profileFieldErrors.lastName && (
+                    <p className="mt-1 text-sm text-red-600">{profileFieldErrors.lastName[0]}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.motherLastName')}</label>
+                  <input
+                    type="text"
+                    maxLength={50}
+                    value={profileData.motherLastName}
+                    onChange={(e) => setProfileData({...profileData, motherLastName: e.target.value})}
+                    className="input-field"
+                  />
+                  {profileFieldErrors.motherLastName && (
+                    <p className="mt-1 text-sm text-red-600">{profileFieldErrors.motherLastName[0]}</p>
+                  )}
                 </div>
                 
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Email Address</label>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.email')}</label>
                   <input
                     type="email"
-                    value={profileData.email}
-                    onChange={(e) => setProfileData({...profileData, email: e.target.value})}
-                    className="input-field"
+                    value={user?.email || ''}
+                    disabled
+                    className="input-field bg-gray-50 dark:bg-gray-900 text-gray-500 dark:text-gray-400"
                   />
                 </div>
 
@@ -189,7 +305,7 @@ const Settings = () => {
                     ) : (
                       <Save className="h-4 w-4 mr-2" />
                     )}
-                    Save Changes
+                    {t('common.saveChanges')}
                   </button>
                 </div>
               </form>
@@ -198,11 +314,24 @@ const Settings = () => {
 
           {activeTab === 'security' && (
             <div className="card">
-              <h3 className="text-lg font-medium text-gray-900 mb-6">Security Settings</h3>
+              <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-6">{t('settings.security.title')}</h3>
               
               <form onSubmit={handlePasswordChange} className="space-y-4">
+                {passwordError && (
+                  <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {passwordError}
+                  </div>
+                )}
+                {passwordSuccess && (
+                  <div className="flex items-center p-4 text-sm text-green-800 dark:text-green-300 border border-green-200 dark:border-green-800 rounded-lg bg-green-50 dark:bg-green-900/30">
+                    <CheckCircle className="w-4 h-4 mr-2" />
+                    {passwordSuccess}
+                  </div>
+                )}
+
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Current Password</label>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('settings.security.currentPassword')}</label>
                   <div className="relative">
                     <input
                       type={showPassword ? 'text' : 'password'}
@@ -222,26 +351,38 @@ const Settings = () => {
                       )}
                     </button>
                   </div>
+                  {passwordFieldErrors.currentPassword && (
+                    <p className="mt-1 text-sm text-red-600">{passwordFieldErrors.currentPassword[0]}</p>
+                  )}
                 </div>
 
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">New Password</label>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('settings.security.newPassword')}</label>
                   <input
                     type="password"
+                    autoComplete="new-password"
                     value={passwordData.newPassword}
                     onChange={(e) => setPasswordData({...passwordData, newPassword: e.target.value})}
                     className="input-field"
                   />
+                  <PasswordStrengthMeter password={passwordData.newPassword} />
+                  {passwordFieldErrors.newPassword && (
+                    <p className="mt-1 text-sm text-red-600">{passwordFieldErrors.newPassword[0]}</p>
+                  )}
                 </div>
 
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Confirm New Password</label>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('settings.security.confirmNewPassword')}</label>
                   <input
                     type="password"
+                    autoComplete="new-password"
                     value={passwordData.confirmPassword}
                     onChange={(e) => setPasswordData({...passwordData, confirmPassword: e.target.value})}
                     className="input-field"
                   />
+                  {passwordFieldErrors.confirmPassword && (
+                    <p className="mt-1 text-sm text-red-600">{passwordFieldErrors.confirmPassword[0]}</p>
+                  )}
                 </div>
 
                 <div className="flex justify-end">
@@ -255,19 +396,28 @@ const Settings = () => {
                     ) : (
                       <Save className="h-4 w-4 mr-2" />
                     )}
-                    Change Password
+                    {t('settings.security.changePassword')}
                   </button>
                 </div>
               </form>
 
-              <div className="mt-8 pt-6 border-t border-gray-200">
-                <h4 className="text-sm font-medium text-gray-900 mb-4">Two-Factor Authentication</h4>
+              <TwoFactorSettings />
+
+              <div className="mt-8 pt-6 border-t border-gray-200 dark:border-gray-700">
+                <h4 className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-4">{t('settings.security.sessions')}</h4>
                 <div className="flex items-center justify-between">
                   <div>
-                    <p className="text-sm text-gray-700">Add an extra layer of security to your account</p>
-                    <p className="text-xs text-gray-500 mt-1">Currently disabled</p>
+                    <p className="text-sm text-gray-700 dark:text-gray-300">{t('settings.security.signOutAllDevices')}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{t('settings.security.signOutAllDevicesHint')}</p>
                   </div>
-                  <button className="btn-secondary">Enable</button>
+                  <button
+                    type="button"
+                    onClick={handleLogoutAllDevices}
+                    className="btn-secondary flex items-center"
+                  >
+                    <LogOut className="h-4 w-4 mr-2" />
+                    {t('settings.security.signOutEverywhere')}
+                  </button>
                 </div>
               </div>
             </div>
@@ -275,14 +425,21 @@ const Settings = () => {
 
           {activeTab === 'notifications' && (
             <div className="card">
-              <h3 className="text-lg font-medium text-gray-900 mb-6">Notification Preferences</h3>
+              <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-6">{t('settings.notifications.title')}</h3>
               
               <form onSubmit={handlePreferencesSave} className="space-y-6">
+                {preferencesError && (
+                  <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {preferencesError}
+                  </div>
+                )}
+
                 <div className="space-y-4">
                   <div className="flex items-center justify-between">
                     <div>
-                      <h4 className="text-sm font-medium text-gray-900">Email Notifications</h4>
-                      <p className="text-sm text-gray-500">Receive notifications via email</p>
+                      <h4 className="text-sm font-medium text-gray-900 dark:text-gray-100">{t('settings.notifications.email')}</h4>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">{t('settings.notifications.emailHint')}</p>
                     </div>
                     <label className="relative inline-flex items-center cursor-pointer">
                       <input
@@ -291,14 +448,14 @@ const Settings = () => {
                         onChange={(e) => setPreferences({...preferences, emailNotifications: e.target.checked})}
                         className="sr-only peer"
                       />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+                      <div className="w-11 h-6 bg-gray-200 dark:bg-gray-700 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
                     </label>
                   </div>
 
                   <div className="flex items-center justify-between">
                     <div>
-                      <h4 className="text-sm font-medium text-gray-900">Push Notifications</h4>
-                      <p className="text-sm text-gray-500">Receive push notifications in browser</p>
+                      <h4 className="text-sm font-medium text-gray-900 dark:text-gray-100">{t('settings.notifications.push')}</h4>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">{t('settings.notifications.pushHint')}</p>
                     </div>
                     <label className="relative inline-flex items-center cursor-pointer">
                       <input
@@ -307,7 +464,7 @@ const Settings = () => {
                         onChange={(e) => setPreferences({...preferences, pushNotifications: e.target.checked})}
                         className="sr-only peer"
                       />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+                      <div className="w-11 h-6 bg-gray-200 dark:bg-gray-700 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
                     </label>
                   </div>
                 </div>
@@ -323,7 +480,7 @@ const Settings = () => {
                     ) : (
                       <Save className="h-4 w-4 mr-2" />
                     )}
-                    Save Preferences
+                    {t('settings.savePreferences')}
                   </button>
                 </div>
               </form>
@@ -332,51 +489,64 @@ const Settings = () => {
 
           {activeTab === 'preferences' && (
             <div className="card">
-              <h3 className="text-lg font-medium text-gray-900 mb-6">System Preferences</h3>
+              <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-6">{t('settings.preferences.title')}</h3>
               
               <form onSubmit={handlePreferencesSave} className="space-y-6">
+                {preferencesError && (
+                  <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {preferencesError}
+                  </div>
+                )}
+
                 <div className="space-y-4">
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <h4 className="text-sm font-medium text-gray-900">Dark Mode</h4>
-                      <p className="text-sm text-gray-500">Switch to dark theme</p>
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900 dark:text-gray-100">{t('settings.preferences.theme')}</h4>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{t('settings.preferences.themeHint')}</p>
+                    <div className="mt-2 grid grid-cols-3 gap-2">
+                      {themeOptions.map((option) => (
+                        <button
+                          key={option.value}
+                          type="button"
+                          onClick={() => setPreferences({...preferences, theme: option.value})}
+                          className={`flex items-center justify-center px-3 py-2 text-sm font-medium rounded-lg border ${
+                            preferences.theme === option.value
+                              ? 'border-primary-600 bg-primary-50 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300'
+                              : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+                          }`}
+                        >
+                          <option.icon className="h-4 w-4 mr-2" />
+                          {t(`settings.preferences.themes.${option.value}`)}
+                        </button>
+                      ))}
                     </div>
-                    <label className="relative inline-flex items-center cursor-pointer">
-                      <input
-                        type="checkbox"
-                        checked={preferences.darkMode}
-                        onChange={(e) => setPreferences({...preferences, darkMode: e.target.checked})}
-                        className="sr-only peer"
-                      />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
-                    </label>
                   </div>
 
                   <div>
-                    <label className="block text-sm font-medium text-gray-700">Language</label>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('settings.preferences.language')}</label>
                     <select
-                      value={preferences.language}
+                      value={resolveLocale(preferences.language)}
                       onChange={(e) => setPreferences({...preferences, language: e.target.value})}
                       className="input-field"
                     >
-                      <option value="en">English</option>
-                      <option value="es">Spanish</option>
-                      <option value="fr">French</option>
-                      <option value="de">German</option>
+                      {supportedLocales.map(({ value, label }) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
                     </select>
                   </div>
 
                   <div>
-                    <label className="block text-sm font-medium text-gray-700">Timezone</label>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('settings.preferences.timezone')}</label>
                     <select
                       value={preferences.timezone}
                       onChange={(e) => setPreferences({...preferences, timezone: e.target.value})}
                       className="input-field"
                     >
-                      <option value="UTC">UTC</option>
-                      <option value="EST">Eastern Time</option>
-                      <option value="PST">Pacific Time</option>
-                      <option value="GMT">GMT</option>
+                      {getTimezoneOptions(preferences.timezone).map(({ value, labelKey }) => (
+                        <option key={value} value={value}>
+                          {labelKey ? t(`settings.preferences.timezones.${labelKey}`) : value}
+                        </option>
+                      ))}
                     </select>
                   </div>
                 </div>
@@ -392,7 +562,7 @@ const Settings = () => {
                     ) : (
                       <Save className="h-4 w-4 mr-2" />
                     )}
-                    Save Preferences
+                    {t('settings.savePreferences')}
                   </button>
                 </div>
               </form>
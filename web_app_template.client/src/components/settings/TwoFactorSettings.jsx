@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { AlertCircle, ShieldCheck, Download, Copy } from 'lucide-react';
+import { twoFactorAPI } from '../../services/twoFactorAPI';
+import { downloadBlob } from '../../utils/download';
+import { useTranslation } from '../../i18n/useTranslation';
+
+// "JBSWY3DPEHPK3PXP" -> "jbsw y3dp ehpk 3pxp", easier to type by hand
+const formatSharedKey = (key = '') => key.toLowerCase().match(/.{1,4}/g)?.join(' ') || '';
+
+// The 6-digit code currently shown by the authenticator app
+const VerificationCodeInput = ({ value, onChange }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('twoFactor.verificationCode')}</label>
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        required
+        maxLength={7}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="input-field tracking-widest sm:w-48"
+        placeholder="123 456"
+      />
+    </div>
+  );
+};
+
+const RecoveryCodes = ({ codes, onDone }) => {
+  const text = codes.join('\n');
+  const [copyStatus, setCopyStatus] = useState(null);
+  const { t } = useTranslation();
+
+  // The Clipboard API is missing outside secure contexts and can be denied
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopyStatus('copied');
+    } catch {
+      setCopyStatus('failed');
+    }
+  };
+
+  const handleDownload = () => {
+    downloadBlob(new Blob([text], { type: 'text/plain' }), 'recovery-codes.txt');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 text-sm text-yellow-800 dark:text-yellow-300 border border-yellow-200 dark:border-yellow-800 rounded-lg bg-yellow-50 dark:bg-yellow-900/30">
+        {t('twoFactor.saveRecoveryCodes')}
+      </div>
+      <div className="grid grid-cols-2 gap-2 p-4 font-mono text-sm bg-gray-50 dark:bg-gray-900 rounded-lg">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      {copyStatus && (
+        <p className={`text-sm ${copyStatus === 'copied' ? 'text-green-700 dark:text-green-400' : 'text-red-600'}`}>
+          {t(copyStatus === 'copied' ? 'twoFactor.codesCopied' : 'twoFactor.copyFailed')}
+        </p>
+      )}
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={handleCopy} className="btn-secondary flex items-center">
+          <Copy className="h-4 w-4 mr-2" />
+          {t('common.copy')}
+        </button>
+        <button type="button" onClick={handleDownload} className="btn-secondary flex items-center">
+          <Download className="h-4 w-4 mr-2" />
+          {t('common.download')}
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary">
+          {t('common.done')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Settings -> Security section for TOTP enrollment and recovery codes
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disabling, setDisabling] = useState(false);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const { t } = useTranslation();
+
+  const loadStatus = async () => {
+    try {
+      const response = await twoFactorAPI.getStatus();
+      setStatus(response.data);
+    } catch (statusError) {
+      setError(statusError.message);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (actionError) {
+      setError(actionError.message);
+    }
+    setBusy(false);
+  };
+
+  const handleStartSetup = () => runAction(async () => {
+    const response = await twoFactorAPI.beginSetup();
+    setSetup(response.data);
+    setCode('');
+  });
+
+  const handleVerify = (e) => {
+    e.preventDefault();
+    return runAction(async () => {
+      const response = await twoFactorAPI.enable(code.replace(/\s/g, ''));
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      await loadStatus();
+    });
+  };
+
+  const handleStartDisable = () => {
+    setError('');
+    setCode('');
+    setDisabling(true);
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    return runAction(async () => {
+      await twoFactorAPI.disable(code.replace(/\s/g, ''));
+      setDisabling(false);
+      await loadStatus();
+    });
+  };
+
+  const handleRegenerate = () => {
+    if (!window.confirm(t('twoFactor.confirmRegenerate'))) {
+      return;
+    }
+    return runAction(async () => {
+      const response = await twoFactorAPI.regenerateRecoveryCodes();
+      setRecoveryCodes(response.data.recoveryCodes);
+      await loadStatus();
+    });
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-200 dark:border-gray-700">
+      <h4 className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-4">{t('twoFactor.title')}</h4>
+
+      {error && (
+        <div className="flex items-center p-4 mb-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {recoveryCodes ? (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : setup ? (
+        <form onSubmit={handleVerify} className="space-y-4">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            {t('twoFactor.scanInstructions')}
+          </p>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-6">
+            <div className="p-3 bg-white border border-gray-200 dark:border-gray-700 rounded-lg self-start">
+              <QRCodeSVG value={setup.authenticatorUri} size={160} />
+            </div>
+            <div className="space-y-2 text-sm">
+              <p className="text-gray-500 dark:text-gray-400">{t('twoFactor.manualKey')}</p>
+              <code className="block px-3 py-2 font-mono bg-gray-50 dark:bg-gray-900 rounded">{formatSharedKey(setup.sharedKey)}</code>
+              <a href={setup.authenticatorUri} className="block text-primary-600 hover:text-primary-500 break-all">
+                {t('twoFactor.openInApp')}
+              </a>
+            </div>
+          </div>
+          <VerificationCodeInput value={code} onChange={setCode} />
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={() => setSetup(null)} className="btn-secondary">
+              {t('common.cancel')}
+            </button>
+            <button type="submit" disabled={busy} className="btn-primary">
+              {t('twoFactor.verifyAndEnable')}
+            </button>
+          </div>
+        </form>
+      ) : disabling ? (
+        <form onSubmit={handleDisable} className="space-y-4">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            {t('twoFactor.disableInstructions')}
+          </p>
+          <VerificationCodeInput value={code} onChange={setCode} />
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={() => setDisabling(false)} className="btn-secondary">
+              {t('common.cancel')}
+            </button>
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded-lg transition-colors duration-200 disabled:opacity-50"
+            >
+              {t('twoFactor.disable')}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="text-sm text-gray-700 dark:text-gray-300">{t('twoFactor.description')}</p>
+            {status?.isEnabled ? (
+              <p className="flex items-center text-xs text-green-700 dark:text-green-400 mt-1">
+                <ShieldCheck className="h-3 w-3 mr-1" />
+                {t('twoFactor.enabled', { count: status.recoveryCodesLeft })}
+              </p>
+            ) : (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{t('twoFactor.disabled')}</p>
+            )}
+          </div>
+          {status?.isEnabled ? (
+            <div className="flex space-x-3">
+              <button type="button" onClick={handleRegenerate} disabled={busy} className="btn-secondary">
+                {t('twoFactor.newRecoveryCodes')}
+              </button>
+              <button type="button" onClick={handleStartDisable} disabled={busy} className="btn-secondary text-red-600">
+                {t('twoFactor.disable')}
+              </button>
+            </div>
+          ) : (
+            <button type="button" onClick={handleStartSetup} disabled={busy || !status} className="btn-secondary">
+              {t('twoFactor.enable')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
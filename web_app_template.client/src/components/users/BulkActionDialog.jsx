@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Roles } from '../../utils/permissions';
+import { runInBatches } from '../../utils/batch';
+import { BulkActions, RoleChangeModes, bulkTasks, selfGuardedActions } from './bulkActions';
+import { useTranslation } from '../../i18n/useTranslation';
+import { useFormatter } from '../../i18n/useFormatter';
+
+const PREVIEW_LIMIT = 5;
+
+/**
+ * Confirm -> progress -> report flow for one bulk action. `previewUsers` are
+ * the explicitly picked users (empty when every matching user is selected);
+ * `resolveTargets` returns the full list once the admin confirms.
+ */
+const BulkActionDialog = ({ action, selectedCount, previewUsers, resolveTargets, onClose }) => {
+  const [phase, setPhase] = useState('confirm');
+  const [role, setRole] = useState(Roles.User);
+  const [roleMode, setRoleMode] = useState(RoleChangeModes.Add);
+  const [replaceAcknowledged, setReplaceAcknowledged] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: selectedCount });
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState('');
+  const { user: currentUser } = useAuth();
+  const { t } = useTranslation();
+  const { formatNumber } = useFormatter();
+
+  const handleConfirm = async () => {
+    setPhase('running');
+    setError('');
+
+    let targets;
+    try {
+      targets = (await resolveTargets()).data;
+    } catch (resolveError) {
+      setError(resolveError.message);
+      setPhase('confirm');
+      return;
+    }
+
+    setProgress({ done: 0, total: targets.length });
+    const outcome = await runInBatches(
+      targets,
+      async (target) => {
+        if (selfGuardedActions.includes(action) && target.id === currentUser?.id) {
+          throw new Error(t('users.bulk.selfError'));
+        }
+        await bulkTasks[action](target, { role, mode: roleMode });
+      },
+      { onProgress: (done) => setProgress({ done, total: targets.length }) }
+    );
+
+    setResults(outcome);
+    setPhase('done');
+  };
+
+  const failures = results.filter(result => !result.success);
+  const succeeded = results.length - failures.length;
+  const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+  const needsAcknowledgement = action === BulkActions.ChangeRole
+    && roleMode === RoleChangeModes.Replace
+    && !replaceAcknowledged;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border dark:border-gray-700 w-full max-w-lg shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="mt-3 space-y-4">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            {t(`users.bulk.titles.${action}`, { count: selectedCount, formattedCount: formatNumber(selectedCount) })}
+          </h3>
+
+          {error && (
+            <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </div>
+          )}
+
+          {phase === 'confirm' && (
+            <>
+              {previewUsers.length > 0 ? (
+                <ul className="text-sm text-gray-700 dark:text-gray-300 space-y-1">
+                  {previewUsers.slice(0, PREVIEW_LIMIT).map((user) => (
+                    <li key={user.id}>
+                      <span className="font-medium">{user.name}</span>
+                      <span className="text-gray-500 dark:text-gray-400"> · {user.email}</span>
+                    </li>
+                  ))}
+                  {previewUsers.length > PREVIEW_LIMIT && (
+                    <li className="text-gray-500 dark:text-gray-400">
+                      {t('users.bulk.andMore', { count: previewUsers.length - PREVIEW_LIMIT })}
+                    </li>
+                  )}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-700 dark:text-gray-300">
+                  {t('users.bulk.allMatchingSummary', { count: selectedCount, formattedCount: formatNumber(selectedCount) })}
+                </p>
+              )}
+
+              {action === BulkActions.ChangeRole && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('users.bulk.newRole')}</label>
+                  <select
+                    value={role}
+                    onChange={(e) => setRole(e.target.value)}
+                    className="input-field"
+                  >
+                    <option value={Roles.User}>{t('roles.user')}</option>
+                    <option value={Roles.Manager}>{t('roles.manager')}</option>
+                    <option value={Roles.Admin}>{t('roles.admin')}</option>
+                  </select>
+
+                  <div className="mt-3 space-y-2">
+                    {Object.values(RoleChangeModes).map((mode) => (
+                      <label key={mode} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                          type="radio"
+                          name="roleMode"
+                          value={mode}
+                          checked={roleMode === mode}
+                          onChange={() => {
+                            setRoleMode(mode);
+                            setReplaceAcknowledged(false);
+                          }}
+                          className="h-4 w-4 text-primary-600 border-gray-300 dark:border-gray-600"
+                        />
+                        <span className="ml-2">{t(`users.bulk.roleModes.${mode}`)}</span>
+                      </label>
+                    ))}
+                  </div>
+
+                  {roleMode === RoleChangeModes.Replace && (
+                    <div className="mt-3">
+                      <p className="text-sm text-red-600">{t('users.bulk.replaceWarning')}</p>
+                      <label className="mt-2 flex items-center text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                          type="checkbox"
+                          checked={replaceAcknowledged}
+                          onChange={(e) => setReplaceAcknowledged(e.target.checked)}
+                          className="h-4 w-4 text-primary-600 rounded border-gray-300 dark:border-gray-600"
+                        />
+                        <span className="ml-2">{t('users.bulk.replaceAcknowledge')}</span>
+                      </label>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {action === BulkActions.Delete && (
+                <p className="text-sm text-red-600">{t('users.bulk.deleteWarning')}</p>
+              )}
+
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => onClose(false)} className="btn-secondary">
+                  {t('common.cancel')}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleConfirm}
+                  disabled={needsAcknowledgement}
+                  className={action === BulkActions.Delete
+                    ? 'bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded-lg transition-colors duration-200'
+                    : 'btn-primary disabled:opacity-50'}
+                >
+                  {t(`users.bulk.confirm.${action}`)}
+                </button>
+              </div>
+            </>
+          )}
+
+          {phase === 'running' && (
+            <div>
+              <div className="h-2 w-full rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                <div className="h-2 bg-primary-600 transition-all" style={{ width: `${percent}%` }}></div>
+              </div>
+              <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                {t('users.bulk.progress', {
+                  done: formatNumber(progress.done),
+                  total: formatNumber(progress.total)
+                })}
+              </p>
+            </div>
+          )}
+
+          {phase === 'done' && (
+            <>
+              <p className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                <CheckCircle className="h-4 w-4 mr-2 text-green-500" />
+                {t('users.bulk.succeeded', { count: succeeded, formattedCount: formatNumber(succeeded) })}
+              </p>
+
+              {failures.length > 0 && (
+                <div>
+                  <p className="flex items-center text-sm text-red-800 dark:text-red-300">
+                    <AlertCircle className="h-4 w-4 mr-2" />
+                    {t('users.bulk.failed', { count: failures.length, formattedCount: formatNumber(failures.length) })}
+                  </p>
+                  <ul className="mt-2 max-h-60 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+                    {failures.map(({ item, error: reason }) => (
+                      <li key={item.id} className="px-3 py-2 text-sm">
+                        <p className="font-medium text-gray-900 dark:text-gray-100">{item.name || item.email}</p>
+                        <p className="text-gray-500 dark:text-gray-400">{item.email}</p>
+                        <p className="text-red-600">{reason}</p>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex justify-end">
+                <button type="button" onClick={() => onClose(true)} className="btn-primary">
+                  {t('common.done')}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionDialog;
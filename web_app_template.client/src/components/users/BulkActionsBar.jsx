@@ -0,0 +1,53 @@
+import React from 'react';
+import { UserCheck, UserX, Shield, Trash2 } from 'lucide-react';
+import { useTranslation } from '../../i18n/useTranslation';
+import { useFormatter } from '../../i18n/useFormatter';
+import { BulkActions } from './bulkActions';
+
+const actionButtons = [
+  { action: BulkActions.Activate, icon: UserCheck, className: 'text-green-600 hover:text-green-900' },
+  { action: BulkActions.Deactivate, icon: UserX, className: 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100' },
+  { action: BulkActions.ChangeRole, icon: Shield, className: 'text-indigo-600 hover:text-indigo-900' },
+  { action: BulkActions.Delete, icon: Trash2, className: 'text-red-600 hover:text-red-900' }
+];
+
+// Selection summary and bulk actions, shown in the DataTable toolbar
+const BulkActionsBar = ({ selection, totalCount, onAction }) => {
+  const { t } = useTranslation();
+  const { formatNumber } = useFormatter();
+
+  const canSelectAllMatching = !selection.allMatching && selection.pageSelected && totalCount > selection.selectedCount;
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+      <span className="font-medium text-gray-900 dark:text-gray-100">
+        {t('users.bulk.selected', { count: selection.selectedCount, formattedCount: formatNumber(selection.selectedCount) })}
+      </span>
+
+      {canSelectAllMatching && (
+        <button type="button" onClick={selection.selectAllMatching} className="font-medium text-primary-600 hover:text-primary-500">
+          {t('users.bulk.selectAllMatching', { count: totalCount, formattedCount: formatNumber(totalCount) })}
+        </button>
+      )}
+      <button type="button" onClick={selection.clear} className="text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200">
+        {t('users.bulk.clearSelection')}
+      </button>
+
+      <span className="flex items-center gap-3 border-l border-gray-200 dark:border-gray-700 pl-4">
+        {actionButtons.map((button) => (
+          <button
+            key={button.action}
+            type="button"
+            onClick={() => onAction(button.action)}
+            className={`flex items-center text-sm font-medium ${button.className}`}
+          >
+            <button.icon className="h-4 w-4 mr-1" />
+            {t(`users.bulk.actions.${button.action}`)}
+          </button>
+        ))}
+      </span>
+    </div>
+  );
+};
+
+export default BulkActionsBar;
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { normalizeRole } from '../../utils/permissions';
+import { toCsvBlob } from '../../utils/spreadsheet';
+import { downloadBlob } from '../../utils/download';
+import { useTranslation } from '../../i18n/useTranslation';
+import { useFormatter } from '../../i18n/useFormatter';
+
+const Formats = {
+  Csv: 'csv',
+  Xlsx: 'xlsx'
+};
+
+// Every matching user is loaded into memory before the file is written, so
+// larger exports are refused; narrow the search or filters instead
+const EXPORT_ROW_LIMIT = 10000;
+
+// The XLSX writer is only downloaded when someone exports to Excel
+const toXlsxBlob = async (rows, sheet) => {
+  const { default: writeExcelFile } = await import('write-excel-file/browser');
+  return writeExcelFile(rows.map(row => row.map(value => value ?? null)), { sheet }).toBlob();
+};
+
+// Cell values are plain text in the admin's language, dates in their timezone
+const exportColumns = [
+  { id: 'firstName', labelKey: 'common.fields.firstName', value: (user) => user.firstName },
+  { id: 'lastName', labelKey: 'common.fields.lastName', value: (user) => user.lastName },
+  { id: 'motherLastName', labelKey: 'common.fields.motherLastName', value: (user) => user.motherLastName },
+  { id: 'email', labelKey: 'common.fields.email', value: (user) => user.email },
+  {
+    id: 'roles',
+    labelKey: 'users.columns.role',
+    value: (user, { t }) => user.roles.map(role => t(`roles.${normalizeRole(role)}`, { defaultValue: role })).join(', ')
+  },
+  { id: 'status', labelKey: 'users.columns.status', value: (user, { t }) => t(`users.status.${user.status}`) },
+  { id: 'createdAt', labelKey: 'users.columns.created', value: (user, { formatDateTime }) => formatDateTime(user.createdAt) },
+  {
+    id: 'lastLogin',
+    labelKey: 'users.columns.lastLogin',
+    value: (user, { t, formatDateTime }) => (user.lastLogin ? formatDateTime(user.lastLogin) : t('users.never'))
+  },
+  { id: 'id', labelKey: 'users.export.id', value: (user) => user.id, defaultOff: true }
+];
+
+/**
+ * Downloads every user matching the current search and filters, up to
+ * EXPORT_ROW_LIMIT. `fetchUsers({ maxCount, onProgress })` pages through the
+ * API and resolves to { data, total }, with `data` null above `maxCount`.
+ */
+const ExportDialog = ({ fetchUsers, onClose }) => {
+  const [format, setFormat] = useState(Formats.Csv);
+  const [columnIds, setColumnIds] = useState(
+    exportColumns.filter(column => !column.defaultOff).map(column => column.id)
+  );
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const { t } = useTranslation();
+  const { formatDateTime, formatNumber } = useFormatter();
+
+  const toggleColumn = (id) => {
+    setColumnIds(current => (current.includes(id)
+      ? current.filter(columnId => columnId !== id)
+      : exportColumns.map(column => column.id).filter(columnId => columnId === id || current.includes(columnId))));
+  };
+
+  const handleExport = async () => {
+    setError('');
+    setProgress({ loaded: 0, total: null });
+    try {
+      const response = await fetchUsers({
+        maxCount: EXPORT_ROW_LIMIT,
+        onProgress: (loaded, total) => setProgress({ loaded, total })
+      });
+      if (response.data === null) {
+        setError(t('users.export.tooMany', {
+          total: formatNumber(response.total),
+          limit: formatNumber(EXPORT_ROW_LIMIT)
+        }));
+        setProgress(null);
+        return;
+      }
+
+      const columns = exportColumns.filter(column => columnIds.includes(column.id));
+      const rows = [
+        columns.map(column => t(column.labelKey)),
+        ...response.data.map(user => columns.map(column => column.value(user, { t, formatDateTime })))
+      ];
+
+      const date = new Date().toISOString().slice(0, 10);
+      const blob = format === Formats.Xlsx ? await toXlsxBlob(rows, t('nav.users')) : toCsvBlob(rows);
+      downloadBlob(blob, `users-${date}.${format}`);
+      onClose();
+    } catch (exportError) {
+      setError(exportError.message);
+      setProgress(null);
+    }
+  };
+
+  const exporting = progress !== null;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border dark:border-gray-700 w-96 shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="mt-3 space-y-4">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">{t('users.export.title')}</h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {t('users.export.description', { limit: formatNumber(EXPORT_ROW_LIMIT) })}
+          </p>
+
+          {error && (
+            <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </div>
+          )}
+
+          <div>
+            <p className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('users.export.format')}</p>
+            <div className="mt-2 flex gap-4">
+              {Object.values(Formats).map((value) => (
+                <label key={value} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="radio"
+                    name="export-format"
+                    value={value}
+                    checked={format === value}
+                    onChange={() => setFormat(value)}
+                    disabled={exporting}
+                    className="h-4 w-4 text-primary-600 border-gray-300 dark:border-gray-600"
+                  />
+                  <span className="ml-2">{t(`users.export.formats.${value}`)}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <p className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('dataTable.columns')}</p>
+            <div className="mt-2 grid grid-cols-2 gap-2">
+              {exportColumns.map((column) => (
+                <label key={column.id} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={columnIds.includes(column.id)}
+                    onChange={() => toggleColumn(column.id)}
+                    disabled={exporting}
+                    className="h-4 w-4 text-primary-600 rounded border-gray-300 dark:border-gray-600"
+                  />
+                  <span className="ml-2">{t(column.labelKey)}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {exporting && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {progress.total === null
+                ? t('users.export.preparing')
+                : t('users.export.progress', { loaded: formatNumber(progress.loaded), total: formatNumber(progress.total) })}
+            </p>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={onClose} disabled={exporting} className="btn-secondary disabled:opacity-50">
+              {t('common.cancel')}
+            </button>
+            <button
+              type="button"
+              onClick={handleExport}
+              disabled={exporting || columnIds.length === 0}
+              className="btn-primary disabled:opacity-50"
+            >
+              {t('users.export.submit')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
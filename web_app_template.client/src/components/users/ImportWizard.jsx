@@ -0,0 +1,346 @@
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Upload } from 'lucide-react';
+import { userAPI } from '../../services/userAPI';
+import { normalizeRole } from '../../utils/permissions';
+import { runInBatches } from '../../utils/batch';
+import { parseCsv, toCsvBlob } from '../../utils/spreadsheet';
+import { downloadBlob } from '../../utils/download';
+import { generatePassword } from '../../utils/passwordPolicy';
+import {
+  importFields,
+  guessMapping,
+  getImportEmails,
+  validateImportRows,
+  buildCredentialsReport,
+  buildErrorReport
+} from './userImport';
+import { useTranslation } from '../../i18n/useTranslation';
+import { useFormatter } from '../../i18n/useFormatter';
+
+const steps = ['upload', 'map', 'preview'];
+
+/**
+ * Upload -> map columns -> preview -> import flow for creating users from a
+ * CSV file. Rows that fail validation are never sent; they and any rows the
+ * server rejects end up in the downloadable error report. Each created user
+ * gets a generated password, offered once as a download when the import ends.
+ */
+const ImportWizard = ({ onClose }) => {
+  const [step, setStep] = useState('upload');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [results, setResults] = useState([]);
+  const [onlyProblems, setOnlyProblems] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [commitResults, setCommitResults] = useState([]);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState('');
+  const { t } = useTranslation();
+  const { formatNumber } = useFormatter();
+
+  const validRows = results.filter(row => row.errors.length === 0);
+  const invalidRows = results.filter(row => row.errors.length > 0);
+  const serverFailures = commitResults
+    .filter(result => !result.success)
+    .map(result => ({ ...result.item, errors: [result.error] }));
+  const createdRows = commitResults.filter(result => result.success).map(result => result.item);
+  const rejectedRows = [...invalidRows, ...serverFailures].sort((a, b) => a.line - b.line);
+  const missingRequired = importFields.some(field => field.required && mapping[field.id] === '');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    const [headerRow, ...dataRows] = parseCsv(await file.text());
+    if (!headerRow || dataRows.length === 0) {
+      setError(t('users.import.errors.empty'));
+      return;
+    }
+
+    setHeaders(headerRow.map(header => header.trim()));
+    setRows(dataRows);
+    setMapping(guessMapping(headerRow));
+    setStep('map');
+  };
+
+  // Only the file's own emails are looked up; an account created after this
+  // check is still caught by the create call and lands in the error report
+  const handlePreview = async () => {
+    setError('');
+    setChecking(true);
+    try {
+      const response = await userAPI.getExistingEmails(getImportEmails(rows, mapping));
+      setResults(validateImportRows(rows, mapping, response.data, t));
+      setStep('preview');
+    } catch (checkError) {
+      setError(checkError.message);
+    }
+    setChecking(false);
+  };
+
+  const handleImport = async () => {
+    setStep('importing');
+    setProgress({ done: 0, total: validRows.length });
+    const rowsWithPasswords = validRows.map(row => ({ ...row, user: { ...row.user, password: generatePassword() } }));
+    const outcome = await runInBatches(
+      rowsWithPasswords,
+      (row) => userAPI.createUser(row.user),
+      { onProgress: (done) => setProgress({ done, total: validRows.length }) }
+    );
+    setCommitResults(outcome);
+    setStep('done');
+  };
+
+  const handleDownloadCredentials = () => {
+    downloadBlob(toCsvBlob(buildCredentialsReport(createdRows, t)), 'users-import-passwords.csv');
+  };
+
+  const handleDownloadReport = () => {
+    downloadBlob(toCsvBlob(buildErrorReport(headers, rejectedRows, t)), 'users-import-errors.csv');
+  };
+
+  const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+  const imported = createdRows.length;
+  const previewRows = onlyProblems ? invalidRows : results;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border dark:border-gray-700 w-full max-w-4xl shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="mt-3 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">{t('users.import.title')}</h3>
+            <ol className="flex items-center gap-2 text-xs">
+              {steps.map((name, index) => (
+                <li
+                  key={name}
+                  className={`px-2 py-1 rounded-full ${step === name
+                    ? 'bg-primary-100 dark:bg-primary-900/40 text-primary-900 dark:text-primary-100'
+                    : 'text-gray-500 dark:text-gray-400'}`}
+                >
+                  {index + 1}. {t(`users.import.steps.${name}`)}
+                </li>
+              ))}
+            </ol>
+          </div>
+
+          {error && (
+            <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </div>
+          )}
+
+          {step === 'upload' && (
+            <>
+              <p className="text-sm text-gray-500 dark:text-gray-400">{t('users.import.uploadDescription')}</p>
+              <label className="flex flex-col items-center justify-center py-8 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg cursor-pointer hover:border-primary-500">
+                <Upload className="h-8 w-8 text-gray-400" />
+                <span className="mt-2 text-sm font-medium text-primary-600">{t('users.import.chooseFile')}</span>
+                <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="sr-only" />
+              </label>
+              <div className="flex justify-end">
+                <button type="button" onClick={() => onClose(false)} className="btn-secondary">
+                  {t('common.cancel')}
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 'map' && (
+            <>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {t('users.import.mapDescription', { count: rows.length, formattedCount: formatNumber(rows.length) })}
+              </p>
+              <div className="space-y-3">
+                {importFields.map((field) => (
+                  <div key={field.id} className="grid grid-cols-3 items-center gap-4">
+                    <label htmlFor={`import-${field.id}`} className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                      {t(field.labelKey)}
+                      {!field.required && (
+                        <span className="ml-1 font-normal text-gray-500 dark:text-gray-400">({t('common.optional')})</span>
+                      )}
+                    </label>
+                    <select
+                      id={`import-${field.id}`}
+                      value={mapping[field.id]}
+                      onChange={(e) => setMapping({ ...mapping, [field.id]: e.target.value === '' ? '' : Number(e.target.value) })}
+                      className="input-field"
+                    >
+                      <option value="">{t('users.import.notImported')}</option>
+                      {headers.map((header, index) => (
+                        <option key={index} value={index}>{header || t('users.import.columnNumber', { number: index + 1 })}</option>
+                      ))}
+                    </select>
+                    <span className="text-sm text-gray-500 dark:text-gray-400 truncate">
+                      {mapping[field.id] !== '' && rows[0][mapping[field.id]]}
+                    </span>
+                  </div>
+                ))}
+              </div>
+              {missingRequired && (
+                <p className="text-sm text-red-600">{t('users.import.errors.unmapped')}</p>
+              )}
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setStep('upload')} className="btn-secondary">
+                  {t('common.back')}
+                </button>
+                <button
+                  type="button"
+                  onClick={handlePreview}
+                  disabled={missingRequired || checking}
+                  className="btn-primary disabled:opacity-50"
+                >
+                  {checking ? t('users.import.checking') : t('common.next')}
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 'preview' && (
+            <>
+              <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                <div className="flex items-center gap-4">
+                  <span className="flex items-center text-gray-700 dark:text-gray-300">
+                    <CheckCircle className="h-4 w-4 mr-1 text-green-500" />
+                    {t('users.import.validRows', { count: validRows.length, formattedCount: formatNumber(validRows.length) })}
+                  </span>
+                  {invalidRows.length > 0 && (
+                    <span className="flex items-center text-red-800 dark:text-red-300">
+                      <AlertCircle className="h-4 w-4 mr-1" />
+                      {t('users.import.invalidRows', { count: invalidRows.length, formattedCount: formatNumber(invalidRows.length) })}
+                    </span>
+                  )}
+                </div>
+                <label className="flex items-center text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={onlyProblems}
+                    onChange={(e) => setOnlyProblems(e.target.checked)}
+                    className="h-4 w-4 text-primary-600 rounded border-gray-300 dark:border-gray-600"
+                  />
+                  <span className="ml-2">{t('users.import.onlyProblems')}</span>
+                </label>
+              </div>
+
+              <div className="max-h-96 overflow-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                  <thead>
+                    <tr>
+                      {['line', 'name', 'email', 'role', 'problems'].map((column) => (
+                        <th
+                          key={column}
+                          scope="col"
+                          className="sticky top-0 bg-gray-50 dark:bg-gray-900 px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider"
+                        >
+                          {t(`users.import.columns.${column}`)}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                    {previewRows.map((row) => (
+                      <tr key={row.line} className={row.errors.length ? 'bg-red-50 dark:bg-red-900/20' : ''}>
+                        <td className="px-4 py-2 text-gray-500 dark:text-gray-400">{row.line}</td>
+                        <td className="px-4 py-2 text-gray-900 dark:text-gray-100">
+                          {[row.user.firstName, row.user.lastName, row.user.motherLastName].filter(Boolean).join(' ')}
+                        </td>
+                        <td className="px-4 py-2 text-gray-900 dark:text-gray-100">{row.user.email}</td>
+                        <td className="px-4 py-2 text-gray-900 dark:text-gray-100">
+                          {row.user.role && t(`roles.${normalizeRole(row.user.role)}`)}
+                        </td>
+                        <td className="px-4 py-2">
+                          {row.errors.length ? (
+                            <ul className="text-red-600 space-y-0.5">
+                              {row.errors.map((message) => <li key={message}>{message}</li>)}
+                            </ul>
+                          ) : (
+                            <span className="text-green-600">{t('users.import.ready')}</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <p className="text-sm text-gray-500 dark:text-gray-400">{t('users.import.passwordNotice')}</p>
+
+              <div className="flex flex-wrap justify-end gap-3">
+                {invalidRows.length > 0 && (
+                  <button type="button" onClick={handleDownloadReport} className="btn-secondary mr-auto">
+                    {t('users.import.downloadReport')}
+                  </button>
+                )}
+                <button type="button" onClick={() => setStep('map')} className="btn-secondary">
+                  {t('common.back')}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleImport}
+                  disabled={validRows.length === 0}
+                  className="btn-primary disabled:opacity-50"
+                >
+                  {t('users.import.submit', { count: validRows.length, formattedCount: formatNumber(validRows.length) })}
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 'importing' && (
+            <div>
+              <div className="h-2 w-full rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                <div className="h-2 bg-primary-600 transition-all" style={{ width: `${percent}%` }}></div>
+              </div>
+              <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                {t('users.bulk.progress', {
+                  done: formatNumber(progress.done),
+                  total: formatNumber(progress.total)
+                })}
+              </p>
+            </div>
+          )}
+
+          {step === 'done' && (
+            <>
+              <p className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                <CheckCircle className="h-4 w-4 mr-2 text-green-500" />
+                {t('users.import.imported', { count: imported, formattedCount: formatNumber(imported) })}
+              </p>
+              {rejectedRows.length > 0 && (
+                <p className="flex items-center text-sm text-red-800 dark:text-red-300">
+                  <AlertCircle className="h-4 w-4 mr-2" />
+                  {t('users.import.notImportedRows', { count: rejectedRows.length, formattedCount: formatNumber(rejectedRows.length) })}
+                </p>
+              )}
+              {imported > 0 && (
+                <div className="p-4 text-sm text-yellow-800 dark:text-yellow-300 border border-yellow-200 dark:border-yellow-800 rounded-lg bg-yellow-50 dark:bg-yellow-900/30">
+                  {t('users.import.passwordsWarning')}
+                </div>
+              )}
+              <div className="flex justify-end space-x-3">
+                {imported > 0 && (
+                  <button type="button" onClick={handleDownloadCredentials} className="btn-secondary">
+                    {t('users.import.downloadPasswords')}
+                  </button>
+                )}
+                {rejectedRows.length > 0 && (
+                  <button type="button" onClick={handleDownloadReport} className="btn-secondary">
+                    {t('users.import.downloadReport')}
+                  </button>
+                )}
+                <button type="button" onClick={() => onClose(imported > 0)} className="btn-primary">
+                  {t('common.done')}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
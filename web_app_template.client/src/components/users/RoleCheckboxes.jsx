@@ -0,0 +1,41 @@
+import React from 'react';
+import { Roles, normalizeRole } from '../../utils/permissions';
+import { useTranslation } from '../../i18n/useTranslation';
+
+// Every role the user should hold; a user can be, say, Manager and Admin.
+// Roles the server sends with other casing, or that have no checkbox, are kept.
+const RoleCheckboxes = ({ value, onChange }) => {
+  const { t } = useTranslation();
+
+  const holds = (role) => value.some(name => normalizeRole(name) === normalizeRole(role));
+
+  const toggleRole = (role, checked) => {
+    onChange(checked
+      ? [...value, role]
+      : value.filter(name => normalizeRole(name) !== normalizeRole(role)));
+  };
+
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('users.columns.role')}</legend>
+      <div className="mt-2 flex flex-wrap gap-4">
+        {Object.values(Roles).map((role) => (
+          <label key={role} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={holds(role)}
+              onChange={(e) => toggleRole(role, e.target.checked)}
+              className="h-4 w-4 text-primary-600 rounded border-gray-300 dark:border-gray-600"
+            />
+            <span className="ml-2">{t(`roles.${normalizeRole(role)}`)}</span>
+          </label>
+        ))}
+      </div>
+      {value.length === 0 && (
+        <p className="mt-1 text-sm text-red-600">{t('users.rolesRequired')}</p>
+      )}
+    </fieldset>
+  );
+};
+
+export default RoleCheckboxes;
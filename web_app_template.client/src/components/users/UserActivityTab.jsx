@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { auditAPI } from '../../services/auditAPI';
+import RelativeTime from '../common/RelativeTime';
+import Can from '../auth/Can';
+import { Permissions } from '../../utils/permissions';
+import { getAuditActionColor, describeAuditEntry } from '../../utils/audit';
+import { useTranslation } from '../../i18n/useTranslation';
+import { useFormatter } from '../../i18n/useFormatter';
+import { AlertCircle } from 'lucide-react';
+
+const PAGE_SIZE = 10;
+
+// Audit entries performed by the user, newest first
+const UserActivityTab = ({ user }) => {
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { t } = useTranslation();
+  const { formatDateTime } = useFormatter();
+
+  useEffect(() => {
+    const loadEntries = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await auditAPI.getEntries({ page, limit: PAGE_SIZE, actorId: user.id });
+        setEntries(response.data.entries);
+        setTotalPages(response.data.totalPages);
+      } catch (error) {
+        setError(error.message);
+      }
+      setLoading(false);
+    };
+
+    loadEntries();
+  }, [user.id, page]);
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">{t('userDetail.activity.title')}</h3>
+        <Can permission={Permissions.ViewAuditLog}>
+          <Link
+            to={`/audit?actor=${encodeURIComponent(user.email)}`}
+            className="text-sm font-medium text-primary-600 hover:text-primary-500"
+          >
+            {t('userDetail.activity.openInAuditLog')}
+          </Link>
+        </Can>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-4 mb-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center items-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : !error && entries.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('userDetail.activity.empty')}</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {entries.map((entry) => (
+            <li key={entry.id} className="flex items-start justify-between gap-4 py-3">
+              <div className="min-w-0">
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getAuditActionColor(entry.action)}`}>
+                  {t(`audit.actions.${entry.action}`, { defaultValue: entry.action })}
+                </span>
+                <p className="mt-1 text-sm text-gray-700 dark:text-gray-300">{describeAuditEntry(entry, t)}</p>
+                {entry.ipAddress && (
+                  <p className="text-xs font-mono text-gray-500 dark:text-gray-400">{entry.ipAddress}</p>
+                )}
+              </div>
+              <div className="text-right text-sm whitespace-nowrap">
+                <div className="text-gray-900 dark:text-gray-100">{formatDateTime(entry.createdAt)}</div>
+                <RelativeTime value={entry.createdAt} className="text-gray-500 dark:text-gray-400" />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-between mt-4">
+          <div className="text-sm text-gray-700 dark:text-gray-300">
+            {t('common.pageInfo', { page, totalPages })}
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setPage(Math.max(1, page - 1))}
+              disabled={page === 1}
+              className="btn-secondary disabled:opacity-50"
+            >
+              {t('common.previous')}
+            </button>
+            <button
+              onClick={() => setPage(Math.min(totalPages, page + 1))}
+              disabled={page === totalPages}
+              className="btn-secondary disabled:opacity-50"
+            >
+              {t('common.next')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserActivityTab;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { userAPI } from '../../services/userAPI';
+import RoleBadges from '../common/RoleBadges';
+import RelativeTime from '../common/RelativeTime';
+import UserProfileTab from './UserProfileTab';
+import UserSessionsTab from './UserSessionsTab';
+import UserActivityTab from './UserActivityTab';
+import { useTranslation } from '../../i18n/useTranslation';
+import { ArrowLeft, User, Monitor, ScrollText, AlertCircle } from 'lucide-react';
+
+const tabs = [
+  { id: 'profile', icon: User },
+  { id: 'sessions', icon: Monitor },
+  { id: 'activity', icon: ScrollText }
+];
+const tabIds = tabs.map(item => item.id);
+
+// Full record for one user; the open tab lives in ?tab= so it can be linked
+const UserDetail = () => {
+  const { id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { t } = useTranslation();
+
+  const tab = tabIds.includes(searchParams.get('tab')) ? searchParams.get('tab') : tabIds[0];
+
+  // Moving to another /users/:id cancels the previous load, so a slow
+  // response cannot show the previous user's data
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadUser = async () => {
+      setUser(null);
+      setLoading(true);
+      setError('');
+      try {
+        const response = await userAPI.getUserById(id);
+        if (cancelled) return;
+        setUser(response.data);
+      } catch (error) {
+        if (cancelled) return;
+        setError(error.message);
+      }
+      setLoading(false);
+    };
+
+    loadUser();
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const selectTab = (name) => {
+    setSearchParams(name === tabIds[0] ? {} : { tab: name }, { replace: true });
+  };
+
+  return (
+    <div className="space-y-6">
+      <Link to="/users" className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-500">
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        {t('userDetail.back')}
+      </Link>
+
+      {error && (
+        <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center items-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : user && (
+        <>
+          {/* Header */}
+          <div className="flex items-center space-x-4">
+            {user.avatar ? (
+              <img className="h-16 w-16 rounded-full object-cover" src={user.avatar} alt="" />
+            ) : (
+              <div className="flex h-16 w-16 items-center justify-center rounded-full bg-gray-100 dark:bg-gray-700">
+                <User className="h-8 w-8 text-gray-400" />
+              </div>
+            )}
+            <div className="min-w-0">
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">{user.name}</h1>
+              <p className="text-sm text-gray-500 dark:text-gray-400">{user.email}</p>
+              <div className="mt-1 flex flex-wrap items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+                <RoleBadges roles={user.roles} />
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${user.status === 'active'
+                  ? 'bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-300'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200'}`}
+                >
+                  {t(`users.status.${user.status}`)}
+                </span>
+                <span>
+                  {t('userDetail.lastLogin')}{' '}
+                  {user.lastLogin ? <RelativeTime value={user.lastLogin} /> : t('users.never')}
+                </span>
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+            {/* Sidebar */}
+            <div className="lg:col-span-1">
+              <nav className="space-y-1">
+                {tabs.map((item) => (
+                  <button
+                    key={item.id}
+                    onClick={() => selectTab(item.id)}
+                    className={`w-full flex items-center px-3 py-2 text-sm font-medium rounded-md ${
+                      tab === item.id
+                        ? 'bg-primary-100 dark:bg-primary-900/40 text-primary-900 dark:text-primary-100'
+                        : 'text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700 hover:text-gray-900 dark:hover:text-gray-100'
+                    }`}
+                  >
+                    <item.icon className="mr-3 h-5 w-5" />
+                    {t(`userDetail.tabs.${item.id}`)}
+                  </button>
+                ))}
+              </nav>
+            </div>
+
+            {/* Content */}
+            <div className="lg:col-span-3">
+              {tab === 'profile' && <UserProfileTab user={user} />}
+              {tab === 'sessions' && <UserSessionsTab userId={user.id} />}
+              {tab === 'activity' && <UserActivityTab user={user} />}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UserDetail;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { userAPI } from '../../services/userAPI';
+import RoleBadges from '../common/RoleBadges';
+import { useTranslation } from '../../i18n/useTranslation';
+import { useFormatter } from '../../i18n/useFormatter';
+import { AlertCircle } from 'lucide-react';
+
+// Account fields plus every role the user has held
+const UserProfileTab = ({ user }) => {
+  const [roleHistory, setRoleHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { t } = useTranslation();
+  const { formatDateTime } = useFormatter();
+
+  useEffect(() => {
+    const loadRoleHistory = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await userAPI.getRoleHistory(user.id);
+        setRoleHistory(response.data);
+      } catch (error) {
+        setError(error.message);
+      }
+      setLoading(false);
+    };
+
+    loadRoleHistory();
+  }, [user.id]);
+
+  const fields = [
+    { id: 'firstName', label: t('common.fields.firstName'), value: user.firstName },
+    { id: 'lastName', label: t('common.fields.lastName'), value: user.lastName },
+    { id: 'motherLastName', label: t('common.fields.motherLastName'), value: user.motherLastName || '—' },
+    { id: 'email', label: t('common.fields.email'), value: user.email },
+    { id: 'status', label: t('users.columns.status'), value: t(`users.status.${user.status}`) },
+    { id: 'createdAt', label: t('users.columns.created'), value: formatDateTime(user.createdAt) },
+    {
+      id: 'lastLogin',
+      label: t('users.columns.lastLogin'),
+      value: user.lastLogin ? formatDateTime(user.lastLogin) : t('users.never')
+    }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-6">{t('userDetail.profile.title')}</h3>
+        <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-4">
+          {fields.map((field) => (
+            <div key={field.id}>
+              <dt className="text-sm font-medium text-gray-500 dark:text-gray-400">{field.label}</dt>
+              <dd className="mt-1 text-sm text-gray-900 dark:text-gray-100">{field.value}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+
+      <div className="card">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-6">{t('userDetail.roleHistory.title')}</h3>
+
+        {error && (
+          <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+            <AlertCircle className="w-4 h-4 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center items-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : !error && roleHistory.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('userDetail.roleHistory.empty')}</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {roleHistory.map((change) => (
+              <li key={`${change.role}-${change.assignedAt}`} className="flex items-center justify-between py-3">
+                <div className="flex items-center space-x-3">
+                  <RoleBadges roles={[change.role]} />
+                  {!change.removedAt && (
+                    <span className="text-xs font-medium text-green-600">{t('userDetail.roleHistory.current')}</span>
+                  )}
+                </div>
+                <div className="text-right text-sm text-gray-500 dark:text-gray-400">
+                  <p>
+                    {change.assignedBy
+                      ? t('userDetail.roleHistory.assignedBy', { date: formatDateTime(change.assignedAt), name: change.assignedBy })
+                      : t('userDetail.roleHistory.assigned', { date: formatDateTime(change.assignedAt) })}
+                  </p>
+                  {change.removedAt && (
+                    <p>{t('userDetail.roleHistory.removed', { date: formatDateTime(change.removedAt) })}</p>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserProfileTab;
@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { userAPI } from '../../services/userAPI';
+import RelativeTime from '../common/RelativeTime';
+import { useTranslation } from '../../i18n/useTranslation';
+import { useFormatter } from '../../i18n/useFormatter';
+import { Monitor, AlertCircle } from 'lucide-react';
+
+// Devices currently signed in as the user, each revocable on its own
+const UserSessionsTab = ({ userId }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState('');
+  const { t } = useTranslation();
+  const { formatDateTime } = useFormatter();
+
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await userAPI.getSessions(userId);
+      setSessions(response.data);
+    } catch (error) {
+      setError(error.message);
+    }
+    setLoading(false);
+  }, [userId]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  // `sessionId` null revokes every session
+  const handleRevoke = async (sessionId) => {
+    const message = sessionId ? t('userDetail.sessions.confirmRevoke') : t('userDetail.sessions.confirmRevokeAll');
+    if (!window.confirm(message)) return;
+
+    setRevoking(sessionId ?? 'all');
+    setError('');
+    try {
+      if (sessionId) {
+        await userAPI.revokeSession(userId, sessionId);
+      } else {
+        await userAPI.revokeAllSessions(userId);
+      }
+      await loadSessions();
+    } catch (error) {
+      setError(error.message);
+    }
+    setRevoking(null);
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">{t('userDetail.sessions.title')}</h3>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">{t('userDetail.sessions.description')}</p>
+        </div>
+        {sessions.length > 1 && (
+          <button
+            type="button"
+            onClick={() => handleRevoke(null)}
+            disabled={revoking !== null}
+            className="btn-secondary whitespace-nowrap disabled:opacity-50"
+          >
+            {t('userDetail.sessions.revokeAll')}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="flex items-center p-4 mb-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center items-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : !error && sessions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('userDetail.sessions.empty')}</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {sessions.map((session) => (
+            <li key={session.id} className="flex items-center justify-between py-4">
+              <div className="flex items-center min-w-0">
+                <Monitor className="h-5 w-5 flex-shrink-0 text-gray-400" />
+                <div className="ml-3 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate" title={session.userAgent}>
+                    {session.userAgent || t('userDetail.sessions.unknownDevice')}
+                  </p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {[
+                      session.ipAddress,
+                      t('userDetail.sessions.signedIn', { date: formatDateTime(session.createdAt) })
+                    ].filter(Boolean).join(' · ')}
+                  </p>
+                  {session.lastActiveAt && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {t('userDetail.sessions.lastActive')} <RelativeTime value={session.lastActiveAt} />
+                    </p>
+                  )}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(session.id)}
+                disabled={revoking !== null}
+                className="ml-4 text-sm font-medium text-red-600 hover:text-red-900 disabled:opacity-50"
+              >
+                {t('userDetail.sessions.revoke')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UserSessionsTab;
@@ -1,5 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { userAPI } from '../../services/userAPI';
+import { createPropertyFilter, createSortDescriptor } from '../../services/paginatedQuery';
+import { parseSortParam, formatSortParam } from '../../utils/tableSort';
+import { Roles } from '../../utils/permissions';
+import RoleBadges from '../common/RoleBadges';
+import DataTable from '../common/DataTable';
+import { useRowSelection } from '../common/useRowSelection';
+import { useQueryFilters } from '../common/useQueryFilters';
+import BulkActionsBar from './BulkActionsBar';
+import BulkActionDialog from './BulkActionDialog';
+import ExportDialog from './ExportDialog';
+import ImportWizard from './ImportWizard';
+import RoleCheckboxes from './RoleCheckboxes';
+import RelativeTime from '../common/RelativeTime';
+import { useTranslation } from '../../i18n/useTranslation';
+import { useFormatter } from '../../i18n/useFormatter';
 import { 
   Plus, 
   Search, 
@@ -8,134 +24,372 @@ import {
   MoreVertical, 
   Filter,
   UserPlus,
-  Eye
+  Eye,
+  Download,
+  Upload,
+  AlertCircle
 } from 'lucide-react';
 
+const emptyFormData = {
+  firstName: '',
+  lastName: '',
+  motherLastName: '',
+  email: '',
+  roles: [Roles.User],
+  status: 'active'
+};
+
+// Query-string filters sent to the server as PropertyFilter triples
+const userFilters = {
+  role: (value) => createPropertyFilter('Role', value),
+  status: (value) => createPropertyFilter('IsActive', value === 'active')
+};
+
+// DataTable column id -> server property it sorts by
+const sortProperties = {
+  user: 'FirstName',
+  role: 'Role',
+  status: 'IsActive',
+  createdAt: 'CreatedAt',
+  lastLogin: 'LastLogin'
+};
+
+// Wait for a pause in typing before the search reaches the URL and the API
+const SEARCH_DEBOUNCE_MS = 300;
+
+const parseUserSort = (searchParams) =>
+  parseSortParam(searchParams.get('sort')).filter(entry => sortProperties[entry.id]);
+
+// Filters and sort for a Users URL; paging is up to the caller
+const toUserQuery = (searchParams) => ({
+  filters: Object.entries(userFilters)
+    .filter(([key]) => searchParams.get(key) && searchParams.get(key) !== 'all')
+    .map(([key, toFilter]) => toFilter(searchParams.get(key))),
+  sort: parseUserSort(searchParams).map(({ id, direction }) => createSortDescriptor(sortProperties[id], direction))
+});
+
 const Users = () => {
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
+  const [totalUsers, setTotalUsers] = useState(0);
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
-  const [filterRole, setFilterRole] = useState('all');
-  const [filterStatus, setFilterStatus] = useState('all');
+  const [error, setError] = useState('');
+  const [bulkAction, setBulkAction] = useState(null);
+  const { searchParams, updateSearchParams: updateQuery, currentPage, setCurrentPage } = useQueryFilters();
+  const selection = useRowSelection({ rows: users, totalCount: totalUsers });
+  const { t } = useTranslation();
+  const { formatDate, formatNumber } = useFormatter();
+
+  // Filters and paging live in the URL so filtered views can be bookmarked
+  const searchTerm = searchParams.get('search') || '';
+  const filterRole = searchParams.get('role') || 'all';
+  const filterStatus = searchParams.get('status') || 'all';
+  const sort = parseUserSort(searchParams);
+  const [searchInput, setSearchInput] = useState(searchTerm);
+  const searchTimer = useRef(null);
+  const latestRequest = useRef(0);
+
+  const updateSearchParams = (updates) => {
+    // A different result set makes the current selection meaningless
+    if (['search', 'role', 'status'].some(key => key in updates)) {
+      selection.clear();
+    }
+    updateQuery(updates);
+  };
+
+  const handleSearchChange = (value) => {
+    setSearchInput(value);
+    clearTimeout(searchTimer.current);
+    searchTimer.current = setTimeout(() => updateSearchParams({ search: value }), SEARCH_DEBOUNCE_MS);
+  };
 
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    role: 'user',
-    status: 'active'
-  });
+  useEffect(() => () => clearTimeout(searchTimer.current), []);
 
+  // Back/forward navigation changes the search without typing
   useEffect(() => {
-    loadUsers();
-  }, [currentPage, searchTerm, filterRole, filterStatus]);
+    setSearchInput(searchTerm);
+  }, [searchTerm]);
+
+  const [formData, setFormData] = useState(emptyFormData);
+  const [formErrors, setFormErrors] = useState({});
 
-  const loadUsers = async () => {
+  const getUserQuery = () => toUserQuery(searchParams);
+
+  // Only the latest request may update the table; a slower earlier response
+  // for a previous search or page is dropped
+  const loadUsers = useCallback(async () => {
+    const request = ++latestRequest.current;
     setLoading(true);
+    setError('');
     try {
-      const response = await userAPI.getUsers(currentPage, 10, searchTerm);
+      const { filters, sort: sortBy } = toUserQuery(searchParams);
+      const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+      const response = await userAPI.getUsers(page, 10, searchParams.get('search') || '', filters, sortBy);
+      if (request !== latestRequest.current) return;
       setUsers(response.data.users);
       setTotalPages(response.data.totalPages);
+      setTotalUsers(response.data.total);
     } catch (error) {
-      console.error('Error loading users:', error);
+      if (request !== latestRequest.current) return;
+      setError(error.message);
     }
     setLoading(false);
-  };
+  }, [searchParams]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
 
   const handleCreateUser = async (e) => {
     e.preventDefault();
+    setError('');
+    setFormErrors({});
     try {
       await userAPI.createUser(formData);
       setShowCreateModal(false);
-      setFormData({ name: '', email: '', role: 'user', status: 'active' });
+      setFormData(emptyFormData);
       loadUsers();
     } catch (error) {
-      console.error('Error creating user:', error);
+      setError(error.message);
+      setFormErrors(error.fieldErrors || {});
     }
   };
 
   const handleEditUser = async (e) => {
     e.preventDefault();
+    setError('');
+    setFormErrors({});
     try {
       await userAPI.updateUser(selectedUser.id, formData);
       setShowEditModal(false);
       setSelectedUser(null);
-      setFormData({ name: '', email: '', role: 'user', status: 'active' });
+      setFormData(emptyFormData);
       loadUsers();
     } catch (error) {
-      console.error('Error updating user:', error);
+      setError(error.message);
+      setFormErrors(error.fieldErrors || {});
     }
   };
 
   const handleDeleteUser = async (userId) => {
-    if (window.confirm('Are you sure you want to delete this user?')) {
+    if (window.confirm(t('users.confirmDelete'))) {
+      setError('');
       try {
         await userAPI.deleteUser(userId);
         loadUsers();
       } catch (error) {
-        console.error('Error deleting user:', error);
+        setError(error.message);
       }
     }
   };
 
   const handleStatusToggle = async (userId, currentStatus) => {
     const newStatus = currentStatus === 'active' ? 'inactive' : 'active';
+    setError('');
     try {
       await userAPI.updateUserStatus(userId, newStatus);
       loadUsers();
     } catch (error) {
-      console.error('Error updating user status:', error);
+      setError(error.message);
     }
   };
 
-  const getRoleColor = (role) => {
-    switch (role) {
-      case 'admin':
-        return 'bg-red-100 text-red-800';
-      case 'manager':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'user':
-        return 'bg-blue-100 text-blue-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
+  // Every selected user, fetched from the server when all matching are selected
+  const resolveBulkTargets = async () => {
+    if (!selection.allMatching) {
+      return { data: selection.selectedRows };
+    }
+    const { filters, sort: sortBy } = getUserQuery();
+    const response = await userAPI.getAllUsers(searchTerm, filters, sortBy);
+    return { data: response.data.filter(user => !selection.excludedKeys.includes(user.id)) };
+  };
+
+  const exportUsers = (options) => {
+    const { filters, sort: sortBy } = getUserQuery();
+    return userAPI.getAllUsers(searchTerm, filters, sortBy, options);
+  };
+
+  const handleImportClose = (imported) => {
+    setShowImportWizard(false);
+    if (imported) loadUsers();
+  };
+
+  const handleBulkClose = (completed) => {
+    setBulkAction(null);
+    if (completed) {
+      selection.clear();
+      loadUsers();
     }
   };
 
   const getStatusColor = (status) => {
     return status === 'active' 
-      ? 'bg-green-100 text-green-800' 
-      : 'bg-gray-100 text-gray-800';
+      ? 'bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-300' 
+      : 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200';
   };
 
-  const filteredUsers = users.filter(user => {
-    const roleMatch = filterRole === 'all' || user.role === filterRole;
-    const statusMatch = filterStatus === 'all' || user.status === filterStatus;
-    return roleMatch && statusMatch;
-  });
+  const openEditModal = (user) => {
+    setSelectedUser(user);
+    setFormData({
+      firstName: user.firstName,
+      lastName: user.lastName,
+      motherLastName: user.motherLastName,
+      email: user.email,
+      roles: user.roles,
+      status: user.status
+    });
+    setFormErrors({});
+    setShowEditModal(true);
+  };
+
+  const columns = [
+    {
+      id: 'user',
+      header: t('users.columns.user'),
+      sortable: true,
+      hideable: false,
+      render: (user) => (
+        <div className="flex items-center">
+          <img
+            className="h-10 w-10 rounded-full"
+            src={user.avatar}
+            alt=""
+          />
+          <div className="ml-4">
+            <Link
+              to={`/users/${user.id}`}
+              className="text-sm font-medium text-gray-900 dark:text-gray-100 hover:text-primary-600 dark:hover:text-primary-400"
+            >
+              {user.name}
+            </Link>
+            <div className="text-sm text-gray-500 dark:text-gray-400">
+              {user.email}
+            </div>
+          </div>
+        </div>
+      )
+    },
+    {
+      id: 'role',
+      header: t('users.columns.role'),
+      sortable: true,
+      render: (user) => <RoleBadges roles={user.roles} />
+    },
+    {
+      id: 'status',
+      header: t('users.columns.status'),
+      sortable: true,
+      render: (user) => (
+        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(user.status)}`}>
+          {t(`users.status.${user.status}`)}
+        </span>
+      )
+    },
+    {
+      id: 'createdAt',
+      header: t('users.columns.created'),
+      sortable: true,
+      className: 'text-gray-500 dark:text-gray-400',
+      render: (user) => formatDate(user.createdAt)
+    },
+    {
+      id: 'lastLogin',
+      header: t('users.columns.lastLogin'),
+      sortable: true,
+      className: 'text-gray-500 dark:text-gray-400',
+      render: (user) => (user.lastLogin
+        ? <RelativeTime value={user.lastLogin} />
+        : t('users.never'))
+    },
+    {
+      id: 'actions',
+      header: t('users.columns.actions'),
+      align: 'right',
+      hideable: false,
+      className: 'font-medium',
+      render: (user) => (
+        <div className="flex items-center justify-end space-x-2">
+          <button
+            onClick={() => handleStatusToggle(user.id, user.status)}
+            className={`text-xs px-2 py-1 rounded ${
+              user.status === 'active'
+                ? 'text-red-600 hover:text-red-900'
+                : 'text-green-600 hover:text-green-900'
+            }`}
+          >
+            {user.status === 'active' ? t('users.deactivate') : t('users.activate')}
+          </button>
+          <Link
+            to={`/users/${user.id}`}
+            className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100"
+            title={t('users.viewDetails')}
+          >
+            <Eye className="h-4 w-4" />
+          </Link>
+          <button
+            onClick={() => openEditModal(user)}
+            className="text-indigo-600 hover:text-indigo-900"
+          >
+            <Edit className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => handleDeleteUser(user.id)}
+            className="text-red-600 hover:text-red-900"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      )
+    }
+  ];
 
   return (
     <div className="space-y-6">
       {/* Header */}
       <div className="flex justify-between items-center">
         <div>
-          <h1 className="text-2xl font-bold text-gray-900">User Management</h1>
-          <p className="mt-1 text-sm text-gray-500">
-            Manage system users and their permissions
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">{t('users.title')}</h1>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            {t('users.subtitle')}
           </p>
         </div>
-        <button
-          onClick={() => setShowCreateModal(true)}
-          className="btn-primary flex items-center"
-        >
-          <UserPlus className="h-4 w-4 mr-2" />
-          Add User
-        </button>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={() => setShowImportWizard(true)}
+            className="btn-secondary flex items-center"
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            {t('users.import.button')}
+          </button>
+          <button
+            onClick={() => setShowExportDialog(true)}
+            className="btn-secondary flex items-center"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            {t('users.export.button')}
+          </button>
+          <button
+            onClick={() => setShowCreateModal(true)}
+            className="btn-primary flex items-center"
+          >
+            <UserPlus className="h-4 w-4 mr-2" />
+            {t('users.addUser')}
+          </button>
+        </div>
       </div>
 
+      {error && (
+        <div className="flex items-center p-4 text-sm text-red-800 dark:text-red-300 border border-red-200 dark:border-red-800 rounded-lg bg-red-50 dark:bg-red-900/30">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </div>
+      )}
+
       {/* Filters and Search */}
       <div className="card">
         <div className="flex flex-col sm:flex-row gap-4">
@@ -144,9 +398,9 @@ const Users = () => {
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
               <input
                 type="text"
-                placeholder="Search users..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder={t('users.searchPlaceholder')}
+                value={searchInput}
+                onChange={(e) => handleSearchChange(e.target.value)}
                 className="input-field pl-10"
               />
             </div>
@@ -154,145 +408,61 @@ const Users = () => {
           <div className="flex gap-2">
             <select
               value={filterRole}
-              onChange={(e) => setFilterRole(e.target.value)}
+              onChange={(e) => updateSearchParams({ role: e.target.value })}
               className="input-field"
             >
-              <option value="all">All Roles</option>
-              <option value="admin">Admin</option>
-              <option value="manager">Manager</option>
-              <option value="user">User</option>
+              <option value="all">{t('users.allRoles')}</option>
+              <option value={Roles.Admin}>{t('roles.admin')}</option>
+              <option value={Roles.Manager}>{t('roles.manager')}</option>
+              <option value={Roles.User}>{t('roles.user')}</option>
             </select>
             <select
               value={filterStatus}
-              onChange={(e) => setFilterStatus(e.target.value)}
+              onChange={(e) => updateSearchParams({ status: e.target.value })}
               className="input-field"
             >
-              <option value="all">All Status</option>
-              <option value="active">Active</option>
-              <option value="inactive">Inactive</option>
+              <option value="all">{t('users.allStatuses')}</option>
+              <option value="active">{t('users.status.active')}</option>
+              <option value="inactive">{t('users.status.inactive')}</option>
             </select>
           </div>
         </div>
       </div>
 
       {/* Users Table */}
-      <div className="card">
-        {loading ? (
-          <div className="flex justify-center items-center py-8">
-            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
-          </div>
-        ) : (
-          <div className="overflow-x-auto">
-            <table className="min-w-full divide-y divide-gray-200">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    User
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Role
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Created
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Last Login
-                  </th>
-                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Actions
-                  </th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {filteredUsers.map((user) => (
-                  <tr key={user.id} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center">
-                        <img
-                          className="h-10 w-10 rounded-full"
-                          src={user.avatar}
-                          alt=""
-                        />
-                        <div className="ml-4">
-                          <div className="text-sm font-medium text-gray-900">
-                            {user.name}
-                          </div>
-                          <div className="text-sm text-gray-500">
-                            {user.email}
-                          </div>
-                        </div>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getRoleColor(user.role)}`}>
-                        {user.role}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(user.status)}`}>
-                        {user.status}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {new Date(user.createdAt).toLocaleDateString()}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {user.lastLogin 
-                        ? new Date(user.lastLogin).toLocaleDateString()
-                        : 'Never'
-                      }
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <div className="flex items-center justify-end space-x-2">
-                        <button
-                          onClick={() => handleStatusToggle(user.id, user.status)}
-                          className={`text-xs px-2 py-1 rounded ${
-                            user.status === 'active'
-                              ? 'text-red-600 hover:text-red-900'
-                              : 'text-green-600 hover:text-green-900'
-                          }`}
-                        >
-                          {user.status === 'active' ? 'Deactivate' : 'Activate'}
-                        </button>
-                        <button
-                          onClick={() => {
-                            setSelectedUser(user);
-                            setFormData({
-                              name: user.name,
-                              email: user.email,
-                              role: user.role,
-                              status: user.status
-                            });
-                            setShowEditModal(true);
-                          }}
-                          className="text-indigo-600 hover:text-indigo-900"
-                        >
-                          <Edit className="h-4 w-4" />
-                        </button>
-                        <button
-                          onClick={() => handleDeleteUser(user.id)}
-                          className="text-red-600 hover:text-red-900"
-                        >
-                          <Trash2 className="h-4 w-4" />
-                        </button>
-                      </div>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+      <DataTable
+        tableId="users"
+        columns={columns}
+        rows={users}
+        loading={loading}
+        sort={sort}
+        onSortChange={(next) => updateSearchParams({ sort: formatSortParam(next) })}
+        emptyMessage={t('users.empty')}
+        selection={selection}
+        toolbar={selection.selectedCount > 0 && (
+          <BulkActionsBar
+            selection={selection}
+            totalCount={totalUsers}
+            onAction={setBulkAction}
+          />
         )}
-      </div>
+      />
+
+      {bulkAction && (
+        <BulkActionDialog
+          action={bulkAction}
+          selectedCount={selection.selectedCount}
+          previewUsers={selection.selectedRows}
+          resolveTargets={resolveBulkTargets}
+          onClose={handleBulkClose}
+        />
+      )}
 
       {/* Pagination */}
       {totalPages > 1 && (
         <div className="flex items-center justify-between">
-          <div className="text-sm text-gray-700">
-            Page {currentPage} of {totalPages}
+          <div className="text-sm text-gray-700 dark:text-gray-300">
+            {t('common.pageInfo', { page: currentPage, totalPages })} · {t('users.total', { count: totalUsers, formattedCount: formatNumber(totalUsers) })}
           </div>
           <div className="flex space-x-2">
             <button
@@ -300,68 +470,100 @@ const Users = () => {
               disabled={currentPage === 1}
               className="btn-secondary disabled:opacity-50"
             >
-              Previous
+              {t('common.previous')}
             </button>
             <button
               onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
               disabled={currentPage === totalPages}
               className="btn-secondary disabled:opacity-50"
             >
-              Next
+              {t('common.next')}
             </button>
           </div>
         </div>
       )}
 
+      {showExportDialog && (
+        <ExportDialog fetchUsers={exportUsers} onClose={() => setShowExportDialog(false)} />
+      )}
+
+      {showImportWizard && <ImportWizard onClose={handleImportClose} />}
+
       {/* Create User Modal */}
       {showCreateModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
-          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+          <div className="relative top-20 mx-auto p-5 border dark:border-gray-700 w-96 shadow-lg rounded-md bg-white dark:bg-gray-800">
             <div className="mt-3">
-              <h3 className="text-lg font-medium text-gray-900 mb-4">Create New User</h3>
+              <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">{t('users.createTitle')}</h3>
               <form onSubmit={handleCreateUser} className="space-y-4">
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Name</label>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.firstName')}</label>
                   <input
                     type="text"
                     required
-                    value={formData.name}
-                    onChange={(e) => setFormData({...formData, name: e.target.value})}
+                    maxLength={50}
+                    value={formData.firstName}
+                    onChange={(e) => setFormData({...formData, firstName: e.target.value})}
                     className="input-field"
                   />
+                  {formErrors.firstName && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.firstName[0]}</p>
+                  )}
                 </div>
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Email</label>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.lastName')}</label>
                   <input
-                    type="email"
+                    type="text"
                     required
-                    value={formData.email}
-                    onChange={(e) => setFormData({...formData, email: e.target.value})}
+                    maxLength={50}
+                    value={formData.lastName}
+                    onChange={(e) => setFormData({...formData, lastName: e.target.value})}
                     className="input-field"
                   />
+                  {formErrors.lastName && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.lastName[0]}</p>
+                  )}
                 </div>
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Role</label>
-                  <select
-                    value={formData.role}
-                    onChange={(e) => setFormData({...formData, role: e.target.value})}
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.motherLastName')}</label>
+                  <input
+                    type="text"
+                    maxLength={50}
+                    value={formData.motherLastName}
+                    onChange={(e) => setFormData({...formData, motherLastName: e.target.value})}
                     className="input-field"
-                  >
-                    <option value="user">User</option>
-                    <option value="manager">Manager</option>
-                    <option value="admin">Admin</option>
-                  </select>
+                  />
+                  {formErrors.motherLastName && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.motherLastName[0]}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.email')}</label>
+                  <input
+                    type="email"
+                    required
+                    value={formData.email}
+                    onChange={(e) => setFormData({...formData, email: e.target.value})}
+                    className="input-field"
+                  />
+                  {formErrors.email && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.email[0]}</p>
+                  )}
                 </div>
+                <RoleCheckboxes
+                  value={formData.roles}
+                  onChange={(roles) => setFormData({...formData, roles})}
+                />
                 <div className="flex justify-end space-x-3">
                   <button
                     type="button"
                     onClick={() => setShowCreateModal(false)}
                     className="btn-secondary"
                   >
-                    Cancel
+                    {t('common.cancel')}
                   </button>
-                  <button type="submit" className="btn-primary">
-                    Create User
+                  <button type="submit" disabled={formData.roles.length === 0} className="btn-primary disabled:opacity-50">
+                    {t('users.create')}
                   </button>
                 </div>
               </form>
@@ -373,52 +575,78 @@ const Users = () => {
       {/* Edit User Modal */}
       {showEditModal && selectedUser && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
-          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+          <div className="relative top-20 mx-auto p-5 border dark:border-gray-700 w-96 shadow-lg rounded-md bg-white dark:bg-gray-800">
             <div className="mt-3">
-              <h3 className="text-lg font-medium text-gray-900 mb-4">Edit User</h3>
+              <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">{t('users.editTitle')}</h3>
               <form onSubmit={handleEditUser} className="space-y-4">
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Name</label>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.firstName')}</label>
                   <input
                     type="text"
                     required
-                    value={formData.name}
-                    onChange={(e) => setFormData({...formData, name: e.target.value})}
+                    maxLength={50}
+                    value={formData.firstName}
+                    onChange={(e) => setFormData({...formData, firstName: e.target.value})}
                     className="input-field"
                   />
+                  {formErrors.firstName && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.firstName[0]}</p>
+                  )}
                 </div>
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Email</label>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.lastName')}</label>
                   <input
-                    type="email"
+                    type="text"
                     required
-                    value={formData.email}
-                    onChange={(e) => setFormData({...formData, email: e.target.value})}
+                    maxLength={50}
+                    value={formData.lastName}
+                    onChange={(e) => setFormData({...formData, lastName: e.target.value})}
                     className="input-field"
                   />
+                  {formErrors.lastName && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.lastName[0]}</p>
+                  )}
                 </div>
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Role</label>
-                  <select
-                    value={formData.role}
-                    onChange={(e) => setFormData({...formData, role: e.target.value})}
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.motherLastName')}</label>
+                  <input
+                    type="text"
+                    maxLength={50}
+                    value={formData.motherLastName}
+                    onChange={(e) => setFormData({...formData, motherLastName: e.target.value})}
                     className="input-field"
-                  >
-                    <option value="user">User</option>
-                    <option value="manager">Manager</option>
-                    <option value="admin">Admin</option>
-                  </select>
+                  />
+                  {formErrors.motherLastName && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.motherLastName[0]}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.fields.email')}</label>
+                  <input
+                    type="email"
+                    required
+                    value={formData.email}
+                    onChange={(e) => setFormData({...formData, email: e.target.value})}
+                    className="input-field"
+                  />
+                  {formErrors.email && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.email[0]}</p>
+                  )}
                 </div>
+                <RoleCheckboxes
+                  value={formData.roles}
+                  onChange={(roles) => setFormData({...formData, roles})}
+                />
                 <div className="flex justify-end space-x-3">
                   <button
                     type="button"
                     onClick={() => setShowEditModal(false)}
                     className="btn-secondary"
                   >
-                    Cancel
+                    {t('common.cancel')}
                   </button>
-                  <button type="submit" className="btn-primary">
-                    Update User
+                  <button type="submit" disabled={formData.roles.length === 0} className="btn-primary disabled:opacity-50">
+                    {t('users.update')}
                   </button>
                 </div>
               </form>
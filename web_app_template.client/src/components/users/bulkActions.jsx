@@ -0,0 +1,34 @@
+import { userAPI } from '../../services/userAPI';
+import { hasRole } from '../../utils/permissions';
+
+export const BulkActions = {
+  Activate: 'activate',
+  Deactivate: 'deactivate',
+  ChangeRole: 'changeRole',
+  Delete: 'delete'
+};
+
+// Users can hold several roles: adding keeps the ones they have, replacing
+// leaves only the chosen role and must be confirmed explicitly
+export const RoleChangeModes = {
+  Add: 'add',
+  Replace: 'replace'
+};
+
+const changeRoles = (user, role, mode) => {
+  if (mode === RoleChangeModes.Replace) return [role];
+  return hasRole(user, role) ? user.roles : [...user.roles, role];
+};
+
+// One request per user through the regular endpoints, so each
+// failure keeps the server's own message
+export const bulkTasks = {
+  [BulkActions.Activate]: (user) => userAPI.updateUserStatus(user.id, 'active'),
+  [BulkActions.Deactivate]: (user) => userAPI.updateUserStatus(user.id, 'inactive'),
+  [BulkActions.ChangeRole]: (user, { role, mode }) =>
+    userAPI.updateUser(user.id, { ...user, roles: changeRoles(user, role, mode) }),
+  [BulkActions.Delete]: (user) => userAPI.deleteUser(user.id)
+};
+
+// Admins cannot lock themselves out through a bulk action
+export const selfGuardedActions = [BulkActions.Deactivate, BulkActions.ChangeRole, BulkActions.Delete];
@@ -0,0 +1,101 @@
+import { Roles, normalizeRole } from '../../utils/permissions';
+import { validateUserFields, EMAIL_PATTERN } from '../../utils/userValidation';
+
+// Fields a CSV column can be mapped to; `aliases` are header names matched
+// automatically (compared lowercased, without accents or punctuation).
+// "Name" / "Nombre" are left out: they usually hold the full name.
+export const importFields = [
+  { id: 'firstName', labelKey: 'common.fields.firstName', required: true, aliases: ['firstname', 'givenname', 'nombres'] },
+  { id: 'lastName', labelKey: 'common.fields.lastName', required: true, aliases: ['lastname', 'surname', 'apellido', 'apellidopaterno'] },
+  { id: 'motherLastName', labelKey: 'common.fields.motherLastName', required: false, aliases: ['motherlastname', 'motherslastname', 'apellidomaterno'] },
+  { id: 'email', labelKey: 'common.fields.email', required: true, aliases: ['email', 'emailaddress', 'mail', 'correo', 'correoelectronico'] },
+  { id: 'role', labelKey: 'users.columns.role', required: false, aliases: ['role', 'roles', 'rol'] }
+];
+
+const normalizeHeader = (header) =>
+  header.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// { fieldId: columnIndex }, '' for fields no header matches
+export const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(importFields.map((field) => {
+    const aliases = field.aliases.map(normalizeHeader);
+    const index = normalized.findIndex(header => aliases.includes(header));
+    return [field.id, index === -1 ? '' : index];
+  }));
+};
+
+// Accepts the role name or its label in the admin's language; blank means User
+const resolveRole = (value, t) => {
+  const role = normalizeRole(value);
+  if (!role) return Roles.User;
+  return Object.values(Roles).find(name =>
+    normalizeRole(name) === role || normalizeRole(t(`roles.${normalizeRole(name)}`)) === role
+  ) ?? null;
+};
+
+const readField = (values, mapping, fieldId) =>
+  (mapping[fieldId] === '' ? '' : (values[mapping[fieldId]] ?? '').trim());
+
+// Distinct, well-formed emails in the file (lowercased), to check with the server
+export const getImportEmails = (rows, mapping) => [
+  ...new Set(rows
+    .map(values => readField(values, mapping, 'email').toLowerCase())
+    .filter(email => EMAIL_PATTERN.test(email)))
+];
+
+/**
+ * Applies the CreateUserViewModel rules to every data row, plus unknown
+ * roles, emails repeated in the file and emails that already have an
+ * account. Returns [{ line, values, user, errors }] where `line` is the row
+ * number in the file (the header is line 1).
+ */
+export const validateImportRows = (rows, mapping, existingEmails, t) => {
+  const firstLineByEmail = new Map();
+
+  return rows.map((values, index) => {
+    const line = index + 2;
+    const read = (fieldId) => readField(values, mapping, fieldId);
+    const user = {
+      firstName: read('firstName'),
+      lastName: read('lastName'),
+      motherLastName: read('motherLastName'),
+      email: read('email'),
+      role: resolveRole(read('role'), t),
+      status: 'active'
+    };
+
+    const errors = Object.values(validateUserFields(user, t)).flat();
+    if (!user.role) {
+      errors.push(t('users.import.errors.unknownRole', { role: read('role') }));
+    }
+
+    const email = user.email.toLowerCase();
+    if (email) {
+      if (firstLineByEmail.has(email)) {
+        errors.push(t('users.import.errors.duplicateInFile', { line: firstLineByEmail.get(email) }));
+      } else {
+        firstLineByEmail.set(email, line);
+        if (existingEmails.has(email)) errors.push(t('users.import.errors.alreadyExists'));
+      }
+    }
+
+    return { line, values, user, errors };
+  });
+};
+
+// Name, email and generated password of every user the import created
+export const buildCredentialsReport = (created, t) => [
+  [t('users.import.columns.name'), t('users.import.columns.email'), t('common.fields.password')],
+  ...created.map(({ user }) => [
+    [user.firstName, user.lastName, user.motherLastName].filter(Boolean).join(' '),
+    user.email,
+    user.password
+  ])
+];
+
+// The rejected rows as they appeared in the upload, with the reasons appended
+export const buildErrorReport = (headers, rejected, t) => [
+  [t('users.import.line'), ...headers, t('users.import.errorsColumn')],
+  ...rejected.map(row => [row.line, ...row.values, row.errors.join('; ')])
+];
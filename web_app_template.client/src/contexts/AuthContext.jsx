@@ -1,6 +1,20 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import jwtDecode from 'jwt-decode';
 import { authAPI } from '../services/authAPI';
+import { tokenStorage, refreshSession, onSessionExpired } from '../services/axiosApp';
+import { hasPermission, toRoleList } from '../utils/permissions';
+
+// ClaimTypes.Role; Identity emits an array when a user holds several roles
+const ROLE_CLAIM = 'http://schemas.microsoft.com/ws/2008/06/identity/claims/role';
+
+// Maps access-token claims onto the user model every component reads
+const mapClaimsToUser = (decoded) => ({
+  id: decoded.sub,
+  email: decoded.email,
+  roles: toRoleList(decoded[ROLE_CLAIM]),
+  name: decoded.name,
+  avatar: decoded.profilePicture
+});
 
 const AuthContext = createContext();
 
@@ -12,67 +26,154 @@ export const useAuth = () => {
   return context;
 };
 
+export const usePermission = (permission) => {
+  const { user } = useAuth();
+  return hasPermission(user, permission);
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [loading, setLoading] = useState(true);
 
+  // Re-reads the server profile so every view shows the same name and avatar
+  const refreshProfile = useCallback(async () => {
+    try {
+      const response = await authAPI.getProfile();
+      setUser(current => current && { ...current, ...response.data });
+      return response.data;
+    } catch {
+      // The token claims already cover what the UI needs to render
+      return null;
+    }
+  }, []);
+
   // Check if token exists and is valid on app start
   useEffect(() => {
-    const accessToken = localStorage.getItem('accessToken');
-    if (accessToken) {
-      try {
-        const decoded = jwtDecode(accessToken);
-        const currentTime = Date.now() / 1000;
-        
-        if (decoded.exp > currentTime) {
-          setUser(decoded);
+    const restoreSession = async () => {
+      let accessToken = tokenStorage.getAccessToken();
+      if (accessToken) {
+        try {
+          const decoded = jwtDecode(accessToken);
+          const currentTime = Date.now() / 1000;
+
+          // An expired access token is recoverable while the refresh token is valid
+          if (decoded.exp <= currentTime) {
+            accessToken = await refreshSession(accessToken);
+          }
+
+          setUser(mapClaimsToUser(jwtDecode(accessToken)));
           setIsAuthenticated(true);
-        } else {
-          localStorage.removeItem('accessToken');
+        } catch {
+          tokenStorage.clear();
+          setLoading(false);
+          return;
         }
-      } catch (error) {
-        localStorage.removeItem('accessToken');
+
+        await refreshProfile();
       }
-    }
-    setLoading(false);
+      setLoading(false);
+    };
+
+    restoreSession();
+  }, [refreshProfile]);
+
+  // The axios layer signals here when a refresh fails mid-session
+  useEffect(() => {
+    return onSessionExpired(() => {
+      setUser(null);
+      setIsAuthenticated(false);
+    });
+  }, []);
+
+  // Another tab logged out or failed to refresh: drop this tab's session too
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if ((event.key === 'refreshToken' || event.key === null) && !tokenStorage.getRefreshToken()) {
+        setUser(null);
+        setIsAuthenticated(false);
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
   }, []);
 
+  const startSession = (accessToken, refreshToken) => {
+    tokenStorage.setTokens(accessToken, refreshToken);
+
+    setUser(mapClaimsToUser(jwtDecode(accessToken)));
+    setIsAuthenticated(true);
+    refreshProfile();
+  };
+
   const login = async (email, password) => {
     try {
       const response = await authAPI.login(email, password);
-      const { accessToken, refreshToken } = response.data;
-      
-      localStorage.setItem('accessToken', accessToken);
-      localStorage.setItem('refreshToken', refreshToken);
 
-      const decoded = jwtDecode(accessToken);
-      
-      const userData = {
-        id: decoded.sub,
-        email: decoded.email,
-        role: decoded["http://schemas.microsoft.com/ws/2008/06/identity/claims/role"],
-        name: decoded.name,
-        avatar: decoded.profilePicture
+      if (response.data.requiresTwoFactor) {
+        return {
+          success: false,
+          requiresTwoFactor: true,
+          twoFactorToken: response.data.twoFactorToken
+        };
       }
-      
-      setUser(userData);
-      setIsAuthenticated(true);
+
+      const { accessToken, refreshToken } = response.data;
+      startSession(accessToken, refreshToken);
       
       return { success: true };
     } catch (error) {
       return { 
         success: false, 
-        error: error.response?.data?.message || 'Login failed' 
+        error: error.message,
+        status: error.status
       };
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    setUser(null);
-    setIsAuthenticated(false);
+  const verifyTwoFactor = async (twoFactorToken, code, options) => {
+    try {
+      const response = await authAPI.verifyTwoFactor(twoFactorToken, code, options);
+      const { accessToken, refreshToken } = response.data;
+      startSession(accessToken, refreshToken);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        status: error.status
+      };
+    }
+  };
+
+  // Creates the account, then signs in with the same credentials
+  const register = async (userData) => {
+    try {
+      await authAPI.register(userData);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        fieldErrors: error.fieldErrors || {}
+      };
+    }
+
+    return login(userData.email, userData.password);
+  };
+
+  const logout = async ({ allDevices = false } = {}) => {
+    try {
+      await (allDevices ? authAPI.logoutAllDevices() : authAPI.logout());
+    } catch {
+      // The local session is dropped even when the server cannot be reached
+    } finally {
+      // Clearing storage also signs out every other open tab (see below)
+      tokenStorage.clear();
+      setUser(null);
+      setIsAuthenticated(false);
+    }
   };
 
   const updateUser = (userData) => {
@@ -84,8 +185,11 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     loading,
     login,
+    verifyTwoFactor,
+    register,
     logout,
-    updateUser
+    updateUser,
+    refreshProfile
   };
 
   return (
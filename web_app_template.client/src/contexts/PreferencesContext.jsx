@@ -0,0 +1,152 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { preferencesAPI } from '../services/preferencesAPI';
+import { Themes, applyTheme, watchSystemTheme } from '../utils/theme';
+import { getBrowserLocale, resolveLocale, setCurrentLocale, translate } from '../i18n';
+
+// Also read by the inline theme script in index.html
+const STORAGE_KEY = 'preferences';
+
+const defaultPreferences = {
+  emailNotifications: true,
+  pushNotifications: false,
+  theme: Themes.System,
+  language: getBrowserLocale(),
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+};
+
+// The cache is tagged with its owner so a different account never inherits it
+const readCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+// The cached values when they belong to `userId`, otherwise none
+const readOwnCache = (userId) => {
+  const cached = readCache();
+  return userId && cached?.userId === userId ? cached.values : {};
+};
+
+const writeCache = (userId, values) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ userId, values }));
+};
+
+const requestPushPermission = async () => {
+  if (!('Notification' in window)) return false;
+  if (Notification.permission === 'granted') return true;
+  return (await Notification.requestPermission()) === 'granted';
+};
+
+const PreferencesContext = createContext();
+
+export const usePreferences = () => {
+  const context = useContext(PreferencesContext);
+  if (!context) {
+    throw new Error('usePreferences must be used within a PreferencesProvider');
+  }
+  return context;
+};
+
+export const PreferencesProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+
+  // Start from the user's cached values so the first paint already matches them
+  const [preferences, setPreferences] = useState(() => ({
+    ...defaultPreferences,
+    ...readOwnCache(userId)
+  }));
+
+  // Swap to the signed-in user's cached values, then to what the server has;
+  // signing out drops back to the defaults
+  useEffect(() => {
+    setPreferences({ ...defaultPreferences, ...readOwnCache(userId) });
+    if (!userId) return;
+
+    let cancelled = false;
+    preferencesAPI.getPreferences()
+      .then(response => {
+        if (cancelled) return;
+        setPreferences(current => {
+          const next = { ...current, ...response.data };
+          writeCache(userId, next);
+          return next;
+        });
+      })
+      .catch(() => {
+        // Offline or not yet saved: the cached values stay in effect
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Saving in one tab updates every other open tab of the same user
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== STORAGE_KEY || !event.newValue) return;
+      const cached = readCache();
+      if (userId && cached?.userId === userId) {
+        setPreferences({ ...defaultPreferences, ...cached.values });
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [userId]);
+
+  useEffect(() => {
+    applyTheme(preferences.theme);
+    if (preferences.theme === Themes.System) {
+      return watchSystemTheme(() => applyTheme(Themes.System));
+    }
+  }, [preferences.theme]);
+
+  // Also switches the Accept-Language sent with every API request
+  useEffect(() => {
+    const locale = resolveLocale(preferences.language);
+    setCurrentLocale(locale);
+    document.documentElement.lang = locale;
+  }, [preferences.language]);
+
+  const updatePreferences = useCallback(async (changes) => {
+    // Only turning push on asks the browser; a blocked permission must not
+    // fail saves that change something else
+    const enablingPush = changes.pushNotifications === true && !preferences.pushNotifications;
+    if (enablingPush && !(await requestPushPermission())) {
+      return { success: false, error: translate(resolveLocale(preferences.language), 'settings.notifications.blocked') };
+    }
+
+    const previous = preferences;
+    const next = { ...preferences, ...changes };
+    setPreferences(next);
+    writeCache(userId, next);
+
+    try {
+      const response = await preferencesAPI.updatePreferences(next);
+      const saved = { ...next, ...response.data };
+      setPreferences(saved);
+      writeCache(userId, saved);
+      return { success: true };
+    } catch (error) {
+      setPreferences(previous);
+      writeCache(userId, previous);
+      return { success: false, error: error.message };
+    }
+  }, [preferences, userId]);
+
+  const value = {
+    preferences,
+    updatePreferences
+  };
+
+  return (
+    <PreferencesContext.Provider value={value}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+};
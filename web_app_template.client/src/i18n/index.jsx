@@ -0,0 +1,59 @@
+import enUS from './locales/en-US';
+import esMX from './locales/es-MX';
+
+// Matches the cultures configured in the server's RequestLocalizationOptions
+export const Locales = {
+  English: 'en-US',
+  Spanish: 'es-MX'
+};
+
+export const supportedLocales = [
+  { value: Locales.English, label: 'English' },
+  { value: Locales.Spanish, label: 'Español (México)' }
+];
+
+const catalogs = {
+  [Locales.English]: enUS,
+  [Locales.Spanish]: esMX
+};
+
+// "es", "es-ES" -> "es-MX"; anything unknown falls back to English
+export const resolveLocale = (language) => {
+  if (catalogs[language]) return language;
+  const base = typeof language === 'string' ? language.split('-')[0].toLowerCase() : '';
+  return Object.keys(catalogs).find(locale => locale.startsWith(`${base}-`)) || Locales.English;
+};
+
+export const getBrowserLocale = () => resolveLocale(navigator.language);
+
+// Module-level copy for code outside React (axios headers, ApiError defaults)
+let currentLocale = getBrowserLocale();
+
+export const getCurrentLocale = () => currentLocale;
+
+export const setCurrentLocale = (locale) => {
+  currentLocale = resolveLocale(locale);
+};
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+const interpolate = (text, params) =>
+  text.replace(/\{\{(\w+)\}\}/g, (match, name) => (params[name] ?? match));
+
+/**
+ * Looks up a dotted key in the locale's catalog, falling back to English
+ * and then to `params.defaultValue` or the key itself. Entries shaped as { one, other, ... } are
+ * plural forms picked with Intl.PluralRules from `params.count`.
+ */
+export const translate = (locale, key, params = {}) => {
+  let entry = lookup(catalogs[locale], key) ?? lookup(catalogs[Locales.English], key);
+  if (entry == null) return params.defaultValue ?? key;
+
+  if (typeof entry === 'object') {
+    const form = new Intl.PluralRules(locale).select(params.count ?? 0);
+    entry = entry[form] ?? entry.other;
+  }
+
+  return interpolate(entry, params);
+};
@@ -0,0 +1,549 @@
+// Plural entries use Intl.PluralRules categories (one, other, ...)
+const enUS = {
+  common: {
+    appName: 'Admin Portal',
+    back: 'Back',
+    cancel: 'Cancel',
+    copy: 'Copy',
+    done: 'Done',
+    download: 'Download',
+    next: 'Next',
+    previous: 'Previous',
+    optional: 'optional',
+    pageInfo: 'Page {{page}} of {{totalPages}}',
+    retry: 'Retry',
+    saveChanges: 'Save Changes',
+    fields: {
+      firstName: 'First Name',
+      lastName: 'Last Name',
+      motherLastName: "Mother's Last Name",
+      email: 'Email Address',
+      password: 'Password',
+      confirmPassword: 'Confirm Password'
+    }
+  },
+
+  errors: {
+    network: 'Unable to reach the server',
+    badRequest: 'The request could not be processed',
+    unauthorized: 'Your session is not authorized',
+    forbidden: 'You do not have permission to do this',
+    notFound: 'The requested resource was not found',
+    server: 'Internal server error'
+  },
+
+  validation: {
+    firstNameRequired: 'First name is required',
+    firstNameTooLong: 'First name must not contain more than {{max}} characters',
+    lastNameRequired: 'Last name is required',
+    lastNameTooLong: 'Last name must not contain more than {{max}} characters',
+    motherLastNameTooLong: 'Mother last name must not contain more than {{max}} characters',
+    emailRequired: 'Email is required',
+    emailInvalid: 'Invalid email format',
+    passwordRequired: 'Password is required',
+    confirmPasswordRequired: 'Confirm your password',
+    passwordsMismatch: 'Passwords do not match',
+    currentPasswordRequired: 'Current password is required',
+    passwordPolicy: 'The new password does not meet every requirement',
+    newPasswordsMismatch: 'New passwords do not match'
+  },
+
+  dataTable: {
+    columns: 'Columns',
+    moveUp: 'Move up',
+    moveDown: 'Move down',
+    density: 'Row density',
+    densities: {
+      comfortable: 'Comfortable',
+      compact: 'Compact'
+    },
+    resetLayout: 'Reset layout',
+    selectPage: 'Select all rows on this page',
+    selectRow: 'Select row',
+    sortHint: 'Sort by this column; shift-click to add it to the current sort',
+    empty: 'No results'
+  },
+
+  roles: {
+    admin: 'Admin',
+    manager: 'Manager',
+    user: 'User'
+  },
+
+  nav: {
+    dashboard: 'Dashboard',
+    users: 'Users',
+    auditLog: 'Audit Log',
+    settings: 'Settings',
+    signOut: 'Sign out'
+  },
+
+  login: {
+    subtitle: 'Sign in to your account or',
+    createAccount: 'create one',
+    emailPlaceholder: 'Enter your email',
+    passwordPlaceholder: 'Enter your password',
+    signIn: 'Sign in',
+    invalidCredentials: 'Invalid email or password',
+    invalidCode: 'Invalid verification code',
+    authenticatorCodeHint: 'Enter the 6-digit code from your authenticator app.',
+    recoveryCodeHint: 'Enter one of the recovery codes you saved when you enabled two-factor authentication.',
+    authenticationCode: 'Authentication code',
+    recoveryCode: 'Recovery code',
+    verify: 'Verify',
+    useAuthenticatorCode: 'Use authenticator code',
+    useRecoveryCode: 'Use a recovery code',
+    demoAccounts: 'Demo Accounts'
+  },
+
+  register: {
+    title: 'Create your account',
+    alreadyRegistered: 'Already registered?',
+    profilePicture: 'Profile picture (optional)',
+    passwordPlaceholder: 'Create a password',
+    confirmPasswordPlaceholder: 'Repeat your password',
+    submit: 'Create account'
+  },
+
+  password: {
+    rules: {
+      length: 'At least 6 characters',
+      digit: 'A number (0-9)',
+      lowercase: 'A lowercase letter',
+      uppercase: 'An uppercase letter',
+      nonAlphanumeric: 'A symbol (e.g. !@#$)'
+    },
+    strength: {
+      veryWeak: 'Very weak',
+      weak: 'Weak',
+      fair: 'Fair',
+      good: 'Good',
+      strong: 'Strong'
+    }
+  },
+
+  dashboard: {
+    admin: {
+      title: 'Admin Dashboard',
+      description: 'Full system access and user management capabilities'
+    },
+    manager: {
+      title: 'Manager Dashboard',
+      description: 'Team oversight and reporting capabilities'
+    },
+    user: {
+      title: 'User Dashboard',
+      description: 'Personal workspace and basic system access'
+    },
+    default: {
+      title: 'Dashboard',
+      description: 'Welcome to the admin portal'
+    },
+    stats: {
+      totalUsers: 'Total Users',
+      activeSessions: 'Active Sessions',
+      systemLoad: 'System Load',
+      securityScore: 'Security Score'
+    },
+    updated: 'Updated',
+    refresh: 'Refresh',
+    staleStats: 'Could not refresh the statistics: {{error}}',
+    periods: {
+      lastDays: {
+        one: 'Last {{count}} day',
+        other: 'Last {{count}} days'
+      }
+    },
+    comparedToPrevious: {
+      one: 'vs. previous day',
+      other: 'vs. previous {{count}} days'
+    },
+    charts: {
+      signups: 'User Signups',
+      newUsers: 'New users',
+      dailyLogins: 'Daily Active Logins',
+      activeUsers: 'Users signed in',
+      roleDistribution: 'Role Distribution'
+    },
+    availableFeatures: 'Available Features',
+    features: {
+      userManagement: 'User Management',
+      systemSettings: 'System Settings',
+      securityMonitoring: 'Security Monitoring',
+      analytics: 'Analytics & Reports',
+      teamOverview: 'Team Overview',
+      profileManagement: 'Profile Management',
+      personalSettings: 'Personal Settings',
+      activityHistory: 'Activity History',
+      notifications: 'Notifications'
+    },
+    recentActivity: 'Recent Activity',
+    viewAllActivity: 'View all',
+    noActivity: 'No activity yet',
+    quickActions: 'Quick Actions',
+    actions: {
+      manageUsers: 'Manage Users',
+      securitySettings: 'Security Settings',
+      viewProfile: 'View Profile'
+    }
+  },
+
+  users: {
+    title: 'User Management',
+    subtitle: 'Manage system users and their permissions',
+    addUser: 'Add User',
+    searchPlaceholder: 'Search users...',
+    rolesRequired: 'Select at least one role',
+    allRoles: 'All Roles',
+    allStatuses: 'All Status',
+    status: {
+      active: 'Active',
+      inactive: 'Inactive'
+    },
+    columns: {
+      user: 'User',
+      role: 'Role',
+      status: 'Status',
+      created: 'Created',
+      lastLogin: 'Last Login',
+      actions: 'Actions'
+    },
+    never: 'Never',
+    viewDetails: 'View details',
+    empty: 'No users match these filters',
+    activate: 'Activate',
+    deactivate: 'Deactivate',
+    confirmDelete: 'Are you sure you want to delete this user?',
+    total: {
+      one: '{{formattedCount}} user',
+      other: '{{formattedCount}} users'
+    },
+    createTitle: 'Create New User',
+    editTitle: 'Edit User',
+    create: 'Create User',
+    update: 'Update User',
+    export: {
+      button: 'Export',
+      title: 'Export users',
+      description: 'Every user matching the current search and filters is exported, not only the visible page, up to {{limit}} users.',
+      format: 'Format',
+      formats: {
+        csv: 'CSV',
+        xlsx: 'Excel (XLSX)'
+      },
+      id: 'User ID',
+      preparing: 'Preparing export...',
+      progress: 'Fetched {{loaded}} of {{total}} users',
+      tooMany: '{{total}} users match, more than the {{limit}} an export can hold. Narrow the search or filters and try again.',
+      submit: 'Export'
+    },
+    import: {
+      button: 'Import',
+      title: 'Import users',
+      steps: {
+        upload: 'Upload',
+        map: 'Map columns',
+        preview: 'Review'
+      },
+      uploadDescription: 'Choose a CSV file whose first row holds the column names. Each following row becomes one user.',
+      chooseFile: 'Choose a CSV file',
+      mapDescription: {
+        one: 'Pick the column that holds each field. The file has {{formattedCount}} row.',
+        other: 'Pick the column that holds each field. The file has {{formattedCount}} rows.'
+      },
+      notImported: 'Not imported',
+      columnNumber: 'Column {{number}}',
+      checking: 'Checking existing users...',
+      validRows: {
+        one: '{{formattedCount}} row ready to import',
+        other: '{{formattedCount}} rows ready to import'
+      },
+      invalidRows: {
+        one: '{{formattedCount}} row with problems',
+        other: '{{formattedCount}} rows with problems'
+      },
+      onlyProblems: 'Show only rows with problems',
+      columns: {
+        line: 'Row',
+        name: 'Name',
+        email: 'Email',
+        role: 'Role',
+        problems: 'Problems'
+      },
+      ready: 'Ready',
+      submit: {
+        one: 'Import {{formattedCount}} user',
+        other: 'Import {{formattedCount}} users'
+      },
+      imported: {
+        one: '{{formattedCount}} user imported',
+        other: '{{formattedCount}} users imported'
+      },
+      notImportedRows: {
+        one: '{{formattedCount}} row was not imported',
+        other: '{{formattedCount}} rows were not imported'
+      },
+      downloadReport: 'Download error report',
+      passwordNotice: 'Each imported user gets a random temporary password. You can download the list of passwords once the import finishes.',
+      passwordsWarning: 'Download the temporary passwords now and give each user theirs through a secure channel. They are not shown again.',
+      downloadPasswords: 'Download passwords',
+      line: 'Row',
+      errorsColumn: 'Errors',
+      errors: {
+        empty: 'The file has no data rows',
+        unmapped: 'Map every required field to continue',
+        unknownRole: 'Unknown role "{{role}}"',
+        duplicateInFile: 'Same email as row {{line}}',
+        alreadyExists: 'A user with this email already exists'
+      }
+    },
+    bulk: {
+      selected: {
+        one: '{{formattedCount}} selected',
+        other: '{{formattedCount}} selected'
+      },
+      selectAllMatching: {
+        one: 'Select the {{formattedCount}} matching user',
+        other: 'Select all {{formattedCount}} matching users'
+      },
+      clearSelection: 'Clear selection',
+      actions: {
+        activate: 'Activate',
+        deactivate: 'Deactivate',
+        changeRole: 'Change role',
+        delete: 'Delete'
+      },
+      titles: {
+        activate: {
+          one: 'Activate {{formattedCount}} user',
+          other: 'Activate {{formattedCount}} users'
+        },
+        deactivate: {
+          one: 'Deactivate {{formattedCount}} user',
+          other: 'Deactivate {{formattedCount}} users'
+        },
+        changeRole: {
+          one: 'Change the role of {{formattedCount}} user',
+          other: 'Change the role of {{formattedCount}} users'
+        },
+        delete: {
+          one: 'Delete {{formattedCount}} user',
+          other: 'Delete {{formattedCount}} users'
+        }
+      },
+      confirm: {
+        activate: 'Activate',
+        deactivate: 'Deactivate',
+        changeRole: 'Change role',
+        delete: 'Delete'
+      },
+      andMore: {
+        one: 'and {{count}} more',
+        other: 'and {{count}} more'
+      },
+      allMatchingSummary: {
+        one: 'The {{formattedCount}} user matching the current search and filters',
+        other: 'All {{formattedCount}} users matching the current search and filters'
+      },
+      newRole: 'New role',
+      roleModes: {
+        add: 'Add to their current roles',
+        replace: 'Replace all their roles'
+      },
+      replaceWarning: 'Every other role these users hold is removed.',
+      replaceAcknowledge: 'I understand their other roles are removed',
+      deleteWarning: 'Deleted users cannot be restored.',
+      progress: 'Processed {{done}} of {{total}}',
+      succeeded: {
+        one: 'Completed for {{formattedCount}} user',
+        other: 'Completed for {{formattedCount}} users'
+      },
+      failed: {
+        one: 'Failed for {{formattedCount}} user',
+        other: 'Failed for {{formattedCount}} users'
+      },
+      selfError: 'You cannot apply this action to your own account'
+    }
+  },
+
+  userDetail: {
+    back: 'Back to users',
+    lastLogin: 'Last login',
+    tabs: {
+      profile: 'Profile',
+      sessions: 'Sessions',
+      activity: 'Activity'
+    },
+    profile: {
+      title: 'Profile'
+    },
+    roleHistory: {
+      title: 'Role history',
+      empty: 'No role changes recorded',
+      current: 'Current',
+      assigned: 'Assigned {{date}}',
+      assignedBy: 'Assigned {{date}} by {{name}}',
+      removed: 'Removed {{date}}'
+    },
+    sessions: {
+      title: 'Active sessions',
+      description: 'Browsers and devices signed in to this account',
+      empty: 'No active sessions',
+      unknownDevice: 'Unknown device',
+      signedIn: 'Signed in {{date}}',
+      lastActive: 'Last active',
+      revoke: 'Revoke',
+      revokeAll: 'Revoke all',
+      confirmRevoke: 'Sign this device out? It will need to sign in again.',
+      confirmRevokeAll: 'Sign this user out of every device?'
+    },
+    activity: {
+      title: 'Activity',
+      empty: 'No activity recorded for this user',
+      openInAuditLog: 'Open in audit log'
+    }
+  },
+
+  audit: {
+    title: 'Audit Log',
+    subtitle: 'Sign-ins, account changes and user management across the system',
+    actorPlaceholder: 'Search by name or email...',
+    allActions: 'All Actions',
+    from: 'From',
+    to: 'To',
+    clearFilters: 'Clear filters',
+    empty: 'No entries match these filters',
+    unknownActor: 'Unknown user',
+    columns: {
+      time: 'Time',
+      actor: 'User',
+      action: 'Action',
+      details: 'Details',
+      ipAddress: 'IP Address'
+    },
+    total: {
+      one: '{{formattedCount}} entry',
+      other: '{{formattedCount}} entries'
+    },
+    actions: {
+      login: 'Sign in',
+      loginFailed: 'Failed sign in',
+      logout: 'Sign out',
+      logoutAllDevices: 'Sign out everywhere',
+      profileUpdated: 'Profile update',
+      passwordChanged: 'Password change',
+      twoFactorEnabled: '2FA enabled',
+      twoFactorDisabled: '2FA disabled',
+      preferencesUpdated: 'Settings change',
+      userCreated: 'User created',
+      userUpdated: 'User updated',
+      userDeleted: 'User deleted',
+      userStatusChanged: 'User status change'
+    },
+    descriptions: {
+      login: 'Signed in',
+      loginFailed: 'Failed to sign in',
+      logout: 'Signed out',
+      logoutAllDevices: 'Signed out of all devices',
+      profileUpdated: 'Updated their profile',
+      passwordChanged: 'Changed their password',
+      twoFactorEnabled: 'Enabled two-factor authentication',
+      twoFactorDisabled: 'Disabled two-factor authentication',
+      preferencesUpdated: 'Changed their settings',
+      userCreated: 'Created user {{target}}',
+      userUpdated: 'Updated user {{target}}',
+      userDeleted: 'Deleted user {{target}}',
+      userStatusChanged: 'Changed the status of {{target}}'
+    }
+  },
+
+  settings: {
+    title: 'Settings',
+    subtitle: 'Manage your account settings and preferences',
+    savePreferences: 'Save Preferences',
+    tabs: {
+      profile: 'Profile',
+      security: 'Security',
+      notifications: 'Notifications',
+      preferences: 'Preferences'
+    },
+    profile: {
+      title: 'Profile Information',
+      avatarNotImage: 'Choose an image file',
+      avatarTooLarge: 'Images must be smaller than {{max}} MB',
+      avatarConfirm: 'Use this picture',
+      avatarDiscard: 'Discard',
+      imageErrors: {
+        invalidImage: 'The selected file is not a valid image',
+        processingFailed: 'The image could not be processed'
+      }
+    },
+    security: {
+      title: 'Security Settings',
+      currentPassword: 'Current Password',
+      newPassword: 'New Password',
+      confirmNewPassword: 'Confirm New Password',
+      changePassword: 'Change Password',
+      passwordChanged: 'Your password has been changed',
+      sessions: 'Sessions',
+      signOutAllDevices: 'Sign out of all devices',
+      signOutAllDevicesHint: 'Ends every active session, including this one',
+      signOutEverywhere: 'Sign out everywhere',
+      confirmSignOutEverywhere: 'Sign out of all devices? You will need to sign in again everywhere.'
+    },
+    notifications: {
+      title: 'Notification Preferences',
+      email: 'Email Notifications',
+      emailHint: 'Receive notifications via email',
+      push: 'Push Notifications',
+      pushHint: 'Receive push notifications in browser',
+      blocked: 'Browser notifications are blocked for this site'
+    },
+    preferences: {
+      title: 'System Preferences',
+      theme: 'Theme',
+      themeHint: 'Choose a theme or follow your system setting',
+      themes: {
+        light: 'Light',
+        dark: 'Dark',
+        system: 'System'
+      },
+      language: 'Language',
+      timezone: 'Timezone',
+      timezones: {
+        utc: 'UTC',
+        mexicoCity: 'Central Time (Mexico City)',
+        eastern: 'Eastern Time',
+        central: 'Central Time',
+        mountain: 'Mountain Time',
+        pacific: 'Pacific Time',
+        london: 'GMT'
+      }
+    }
+  },
+
+  twoFactor: {
+    title: 'Two-Factor Authentication',
+    description: 'Add an extra layer of security to your account',
+    enabled: {
+      one: 'Enabled, {{count}} recovery code left',
+      other: 'Enabled, {{count}} recovery codes left'
+    },
+    disabled: 'Currently disabled',
+    enable: 'Enable',
+    disable: 'Disable',
+    newRecoveryCodes: 'New Recovery Codes',
+    disableInstructions: 'Your account will be protected by your password only. Enter the current code from your authenticator app to confirm.',
+    confirmRegenerate: 'Generate new recovery codes? Your current codes will stop working.',
+    scanInstructions: 'Scan this QR code with an authenticator app such as Google Authenticator or Microsoft Authenticator, then enter the 6-digit code it shows.',
+    manualKey: "Can't scan it? Enter this key instead:",
+    openInApp: 'Open in authenticator app',
+    verificationCode: 'Verification Code',
+    verifyAndEnable: 'Verify and Enable',
+    codesCopied: 'Recovery codes copied to the clipboard.',
+    copyFailed: 'The codes could not be copied. Select them or download them instead.',
+    saveRecoveryCodes: 'Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose access to your authenticator app.'
+  }
+};
+
+export default enUS;
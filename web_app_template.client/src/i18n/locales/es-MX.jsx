@@ -0,0 +1,549 @@
+// Field names and validation texts follow CreateUserViewModel.es-MX.resx
+const esMX = {
+  common: {
+    appName: 'Portal de Administración',
+    back: 'Regresar',
+    cancel: 'Cancelar',
+    copy: 'Copiar',
+    done: 'Listo',
+    download: 'Descargar',
+    next: 'Siguiente',
+    previous: 'Anterior',
+    optional: 'opcional',
+    pageInfo: 'Página {{page}} de {{totalPages}}',
+    retry: 'Reintentar',
+    saveChanges: 'Guardar cambios',
+    fields: {
+      firstName: 'Nombre',
+      lastName: 'Apellido paterno',
+      motherLastName: 'Apellido materno',
+      email: 'Correo electrónico',
+      password: 'Contraseña',
+      confirmPassword: 'Confirmar contraseña'
+    }
+  },
+
+  errors: {
+    network: 'No se pudo conectar con el servidor',
+    badRequest: 'No se pudo procesar la solicitud',
+    unauthorized: 'Tu sesión no está autorizada',
+    forbidden: 'No tienes permiso para realizar esta acción',
+    notFound: 'No se encontró el recurso solicitado',
+    server: 'Error interno del servidor'
+  },
+
+  validation: {
+    firstNameRequired: 'El nombre es requerido',
+    firstNameTooLong: 'El nombre no debe contener más de {{max}} caracteres',
+    lastNameRequired: 'El apellido paterno es requerido',
+    lastNameTooLong: 'El apellido paterno no debe contener más de {{max}} caracteres',
+    motherLastNameTooLong: 'El apellido materno no debe contener más de {{max}} caracteres',
+    emailRequired: 'El correo es requerido',
+    emailInvalid: 'Formato de email inválido',
+    passwordRequired: 'La contraseña es requerida',
+    confirmPasswordRequired: 'Confirma tu contraseña',
+    passwordsMismatch: 'Las contraseñas no coinciden',
+    currentPasswordRequired: 'La contraseña actual es requerida',
+    passwordPolicy: 'La nueva contraseña no cumple todos los requisitos',
+    newPasswordsMismatch: 'Las contraseñas nuevas no coinciden'
+  },
+
+  dataTable: {
+    columns: 'Columnas',
+    moveUp: 'Subir',
+    moveDown: 'Bajar',
+    density: 'Densidad de filas',
+    densities: {
+      comfortable: 'Cómoda',
+      compact: 'Compacta'
+    },
+    resetLayout: 'Restablecer diseño',
+    selectPage: 'Seleccionar todas las filas de esta página',
+    selectRow: 'Seleccionar fila',
+    sortHint: 'Ordenar por esta columna; Mayús + clic para agregarla al orden actual',
+    empty: 'Sin resultados'
+  },
+
+  roles: {
+    admin: 'Administrador',
+    manager: 'Gerente',
+    user: 'Usuario'
+  },
+
+  nav: {
+    dashboard: 'Panel',
+    users: 'Usuarios',
+    auditLog: 'Bitácora',
+    settings: 'Configuración',
+    signOut: 'Cerrar sesión'
+  },
+
+  login: {
+    subtitle: 'Inicia sesión en tu cuenta o',
+    createAccount: 'crea una',
+    emailPlaceholder: 'Ingresa tu correo',
+    passwordPlaceholder: 'Ingresa tu contraseña',
+    signIn: 'Iniciar sesión',
+    invalidCredentials: 'Correo o contraseña incorrectos',
+    invalidCode: 'Código de verificación inválido',
+    authenticatorCodeHint: 'Ingresa el código de 6 dígitos de tu app de autenticación.',
+    recoveryCodeHint: 'Ingresa uno de los códigos de recuperación que guardaste al activar la autenticación en dos pasos.',
+    authenticationCode: 'Código de autenticación',
+    recoveryCode: 'Código de recuperación',
+    verify: 'Verificar',
+    useAuthenticatorCode: 'Usar código de autenticación',
+    useRecoveryCode: 'Usar un código de recuperación',
+    demoAccounts: 'Cuentas de demostración'
+  },
+
+  register: {
+    title: 'Crea tu cuenta',
+    alreadyRegistered: '¿Ya tienes cuenta?',
+    profilePicture: 'Foto de perfil (opcional)',
+    passwordPlaceholder: 'Crea una contraseña',
+    confirmPasswordPlaceholder: 'Repite tu contraseña',
+    submit: 'Crear cuenta'
+  },
+
+  password: {
+    rules: {
+      length: 'Al menos 6 caracteres',
+      digit: 'Un número (0-9)',
+      lowercase: 'Una letra minúscula',
+      uppercase: 'Una letra mayúscula',
+      nonAlphanumeric: 'Un símbolo (p. ej. !@#$)'
+    },
+    strength: {
+      veryWeak: 'Muy débil',
+      weak: 'Débil',
+      fair: 'Regular',
+      good: 'Buena',
+      strong: 'Fuerte'
+    }
+  },
+
+  dashboard: {
+    admin: {
+      title: 'Panel de administrador',
+      description: 'Acceso completo al sistema y gestión de usuarios'
+    },
+    manager: {
+      title: 'Panel de gerente',
+      description: 'Supervisión del equipo y reportes'
+    },
+    user: {
+      title: 'Panel de usuario',
+      description: 'Espacio personal y acceso básico al sistema'
+    },
+    default: {
+      title: 'Panel',
+      description: 'Bienvenido al portal de administración'
+    },
+    stats: {
+      totalUsers: 'Usuarios totales',
+      activeSessions: 'Sesiones activas',
+      systemLoad: 'Carga del sistema',
+      securityScore: 'Puntaje de seguridad'
+    },
+    updated: 'Actualizado',
+    refresh: 'Actualizar',
+    staleStats: 'No se pudieron actualizar las estadísticas: {{error}}',
+    periods: {
+      lastDays: {
+        one: 'Último día',
+        other: 'Últimos {{count}} días'
+      }
+    },
+    comparedToPrevious: {
+      one: 'vs. día anterior',
+      other: 'vs. {{count}} días anteriores'
+    },
+    charts: {
+      signups: 'Registros de usuarios',
+      newUsers: 'Usuarios nuevos',
+      dailyLogins: 'Inicios de sesión diarios',
+      activeUsers: 'Usuarios que iniciaron sesión',
+      roleDistribution: 'Distribución por rol'
+    },
+    availableFeatures: 'Funciones disponibles',
+    features: {
+      userManagement: 'Gestión de usuarios',
+      systemSettings: 'Configuración del sistema',
+      securityMonitoring: 'Monitoreo de seguridad',
+      analytics: 'Analítica y reportes',
+      teamOverview: 'Resumen del equipo',
+      profileManagement: 'Gestión del perfil',
+      personalSettings: 'Configuración personal',
+      activityHistory: 'Historial de actividad',
+      notifications: 'Notificaciones'
+    },
+    recentActivity: 'Actividad reciente',
+    viewAllActivity: 'Ver todo',
+    noActivity: 'Aún no hay actividad',
+    quickActions: 'Acciones rápidas',
+    actions: {
+      manageUsers: 'Gestionar usuarios',
+      securitySettings: 'Seguridad',
+      viewProfile: 'Ver perfil'
+    }
+  },
+
+  users: {
+    title: 'Gestión de usuarios',
+    subtitle: 'Administra los usuarios del sistema y sus permisos',
+    addUser: 'Agregar usuario',
+    searchPlaceholder: 'Buscar usuarios...',
+    rolesRequired: 'Selecciona al menos un rol',
+    allRoles: 'Todos los roles',
+    allStatuses: 'Todos los estados',
+    status: {
+      active: 'Activo',
+      inactive: 'Inactivo'
+    },
+    columns: {
+      user: 'Usuario',
+      role: 'Rol',
+      status: 'Estado',
+      created: 'Creado',
+      lastLogin: 'Último acceso',
+      actions: 'Acciones'
+    },
+    never: 'Nunca',
+    viewDetails: 'Ver detalles',
+    empty: 'Ningún usuario coincide con estos filtros',
+    activate: 'Activar',
+    deactivate: 'Desactivar',
+    confirmDelete: '¿Seguro que deseas eliminar este usuario?',
+    total: {
+      one: '{{formattedCount}} usuario',
+      other: '{{formattedCount}} usuarios'
+    },
+    createTitle: 'Nuevo usuario',
+    editTitle: 'Editar usuario',
+    create: 'Crear usuario',
+    update: 'Actualizar usuario',
+    export: {
+      button: 'Exportar',
+      title: 'Exportar usuarios',
+      description: 'Se exportan todos los usuarios que coinciden con la búsqueda y los filtros actuales, no solo la página visible, hasta {{limit}} usuarios.',
+      format: 'Formato',
+      formats: {
+        csv: 'CSV',
+        xlsx: 'Excel (XLSX)'
+      },
+      id: 'ID de usuario',
+      preparing: 'Preparando exportación...',
+      progress: 'Se obtuvieron {{loaded}} de {{total}} usuarios',
+      tooMany: 'Coinciden {{total}} usuarios, más de los {{limit}} que admite una exportación. Acota la búsqueda o los filtros e inténtalo de nuevo.',
+      submit: 'Exportar'
+    },
+    import: {
+      button: 'Importar',
+      title: 'Importar usuarios',
+      steps: {
+        upload: 'Cargar',
+        map: 'Asignar columnas',
+        preview: 'Revisar'
+      },
+      uploadDescription: 'Elige un archivo CSV cuya primera fila contenga los nombres de las columnas. Cada fila siguiente se convierte en un usuario.',
+      chooseFile: 'Elegir un archivo CSV',
+      mapDescription: {
+        one: 'Elige la columna que contiene cada campo. El archivo tiene {{formattedCount}} fila.',
+        other: 'Elige la columna que contiene cada campo. El archivo tiene {{formattedCount}} filas.'
+      },
+      notImported: 'No importar',
+      columnNumber: 'Columna {{number}}',
+      checking: 'Revisando usuarios existentes...',
+      validRows: {
+        one: '{{formattedCount}} fila lista para importar',
+        other: '{{formattedCount}} filas listas para importar'
+      },
+      invalidRows: {
+        one: '{{formattedCount}} fila con problemas',
+        other: '{{formattedCount}} filas con problemas'
+      },
+      onlyProblems: 'Mostrar solo filas con problemas',
+      columns: {
+        line: 'Fila',
+        name: 'Nombre',
+        email: 'Correo',
+        role: 'Rol',
+        problems: 'Problemas'
+      },
+      ready: 'Lista',
+      submit: {
+        one: 'Importar {{formattedCount}} usuario',
+        other: 'Importar {{formattedCount}} usuarios'
+      },
+      imported: {
+        one: '{{formattedCount}} usuario importado',
+        other: '{{formattedCount}} usuarios importados'
+      },
+      notImportedRows: {
+        one: '{{formattedCount}} fila no se importó',
+        other: '{{formattedCount}} filas no se importaron'
+      },
+      downloadReport: 'Descargar reporte de errores',
+      passwordNotice: 'Cada usuario importado recibe una contraseña temporal aleatoria. Podrás descargar la lista de contraseñas cuando termine la importación.',
+      passwordsWarning: 'Descarga ahora las contraseñas temporales y entrega a cada usuario la suya por un medio seguro. No se vuelven a mostrar.',
+      downloadPasswords: 'Descargar contraseñas',
+      line: 'Fila',
+      errorsColumn: 'Errores',
+      errors: {
+        empty: 'El archivo no tiene filas de datos',
+        unmapped: 'Asigna todos los campos requeridos para continuar',
+        unknownRole: 'Rol desconocido "{{role}}"',
+        duplicateInFile: 'Mismo correo que la fila {{line}}',
+        alreadyExists: 'Ya existe un usuario con este correo'
+      }
+    },
+    bulk: {
+      selected: {
+        one: '{{formattedCount}} seleccionado',
+        other: '{{formattedCount}} seleccionados'
+      },
+      selectAllMatching: {
+        one: 'Seleccionar el {{formattedCount}} usuario que coincide',
+        other: 'Seleccionar los {{formattedCount}} usuarios que coinciden'
+      },
+      clearSelection: 'Limpiar selección',
+      actions: {
+        activate: 'Activar',
+        deactivate: 'Desactivar',
+        changeRole: 'Cambiar rol',
+        delete: 'Eliminar'
+      },
+      titles: {
+        activate: {
+          one: 'Activar {{formattedCount}} usuario',
+          other: 'Activar {{formattedCount}} usuarios'
+        },
+        deactivate: {
+          one: 'Desactivar {{formattedCount}} usuario',
+          other: 'Desactivar {{formattedCount}} usuarios'
+        },
+        changeRole: {
+          one: 'Cambiar el rol de {{formattedCount}} usuario',
+          other: 'Cambiar el rol de {{formattedCount}} usuarios'
+        },
+        delete: {
+          one: 'Eliminar {{formattedCount}} usuario',
+          other: 'Eliminar {{formattedCount}} usuarios'
+        }
+      },
+      confirm: {
+        activate: 'Activar',
+        deactivate: 'Desactivar',
+        changeRole: 'Cambiar rol',
+        delete: 'Eliminar'
+      },
+      andMore: {
+        one: 'y {{count}} más',
+        other: 'y {{count}} más'
+      },
+      allMatchingSummary: {
+        one: 'El {{formattedCount}} usuario que coincide con la búsqueda y los filtros actuales',
+        other: 'Los {{formattedCount}} usuarios que coinciden con la búsqueda y los filtros actuales'
+      },
+      newRole: 'Nuevo rol',
+      roleModes: {
+        add: 'Agregar a sus roles actuales',
+        replace: 'Reemplazar todos sus roles'
+      },
+      replaceWarning: 'Se quitan todos los demás roles de estos usuarios.',
+      replaceAcknowledge: 'Entiendo que se quitan sus demás roles',
+      deleteWarning: 'Los usuarios eliminados no se pueden recuperar.',
+      progress: 'Procesados {{done}} de {{total}}',
+      succeeded: {
+        one: 'Completado para {{formattedCount}} usuario',
+        other: 'Completado para {{formattedCount}} usuarios'
+      },
+      failed: {
+        one: 'Falló para {{formattedCount}} usuario',
+        other: 'Falló para {{formattedCount}} usuarios'
+      },
+      selfError: 'No puedes aplicar esta acción a tu propia cuenta'
+    }
+  },
+
+  userDetail: {
+    back: 'Volver a usuarios',
+    lastLogin: 'Último acceso',
+    tabs: {
+      profile: 'Perfil',
+      sessions: 'Sesiones',
+      activity: 'Actividad'
+    },
+    profile: {
+      title: 'Perfil'
+    },
+    roleHistory: {
+      title: 'Historial de roles',
+      empty: 'No hay cambios de rol registrados',
+      current: 'Actual',
+      assigned: 'Asignado el {{date}}',
+      assignedBy: 'Asignado el {{date}} por {{name}}',
+      removed: 'Retirado el {{date}}'
+    },
+    sessions: {
+      title: 'Sesiones activas',
+      description: 'Navegadores y dispositivos con sesión iniciada en esta cuenta',
+      empty: 'No hay sesiones activas',
+      unknownDevice: 'Dispositivo desconocido',
+      signedIn: 'Inició sesión el {{date}}',
+      lastActive: 'Última actividad',
+      revoke: 'Revocar',
+      revokeAll: 'Revocar todas',
+      confirmRevoke: '¿Cerrar la sesión de este dispositivo? Tendrá que iniciar sesión de nuevo.',
+      confirmRevokeAll: '¿Cerrar la sesión de este usuario en todos los dispositivos?'
+    },
+    activity: {
+      title: 'Actividad',
+      empty: 'No hay actividad registrada para este usuario',
+      openInAuditLog: 'Abrir en la bitácora'
+    }
+  },
+
+  audit: {
+    title: 'Bitácora',
+    subtitle: 'Inicios de sesión, cambios de cuenta y gestión de usuarios en todo el sistema',
+    actorPlaceholder: 'Buscar por nombre o correo...',
+    allActions: 'Todas las acciones',
+    from: 'Desde',
+    to: 'Hasta',
+    clearFilters: 'Limpiar filtros',
+    empty: 'Ningún registro coincide con estos filtros',
+    unknownActor: 'Usuario desconocido',
+    columns: {
+      time: 'Fecha',
+      actor: 'Usuario',
+      action: 'Acción',
+      details: 'Detalles',
+      ipAddress: 'Dirección IP'
+    },
+    total: {
+      one: '{{formattedCount}} registro',
+      other: '{{formattedCount}} registros'
+    },
+    actions: {
+      login: 'Inicio de sesión',
+      loginFailed: 'Inicio de sesión fallido',
+      logout: 'Cierre de sesión',
+      logoutAllDevices: 'Cierre de sesión global',
+      profileUpdated: 'Cambio de perfil',
+      passwordChanged: 'Cambio de contraseña',
+      twoFactorEnabled: '2FA activada',
+      twoFactorDisabled: '2FA desactivada',
+      preferencesUpdated: 'Cambio de configuración',
+      userCreated: 'Usuario creado',
+      userUpdated: 'Usuario actualizado',
+      userDeleted: 'Usuario eliminado',
+      userStatusChanged: 'Cambio de estado'
+    },
+    descriptions: {
+      login: 'Inició sesión',
+      loginFailed: 'No pudo iniciar sesión',
+      logout: 'Cerró sesión',
+      logoutAllDevices: 'Cerró sesión en todos los dispositivos',
+      profileUpdated: 'Actualizó su perfil',
+      passwordChanged: 'Cambió su contraseña',
+      twoFactorEnabled: 'Activó la autenticación en dos pasos',
+      twoFactorDisabled: 'Desactivó la autenticación en dos pasos',
+      preferencesUpdated: 'Cambió su configuración',
+      userCreated: 'Creó al usuario {{target}}',
+      userUpdated: 'Actualizó al usuario {{target}}',
+      userDeleted: 'Eliminó al usuario {{target}}',
+      userStatusChanged: 'Cambió el estado de {{target}}'
+    }
+  },
+
+  settings: {
+    title: 'Configuración',
+    subtitle: 'Administra la configuración y las preferencias de tu cuenta',
+    savePreferences: 'Guardar preferencias',
+    tabs: {
+      profile: 'Perfil',
+      security: 'Seguridad',
+      notifications: 'Notificaciones',
+      preferences: 'Preferencias'
+    },
+    profile: {
+      title: 'Información del perfil',
+      avatarNotImage: 'Elige un archivo de imagen',
+      avatarTooLarge: 'Las imágenes deben pesar menos de {{max}} MB',
+      avatarConfirm: 'Usar esta foto',
+      avatarDiscard: 'Descartar',
+      imageErrors: {
+        invalidImage: 'El archivo seleccionado no es una imagen válida',
+        processingFailed: 'No se pudo procesar la imagen'
+      }
+    },
+    security: {
+      title: 'Seguridad',
+      currentPassword: 'Contraseña actual',
+      newPassword: 'Nueva contraseña',
+      confirmNewPassword: 'Confirmar nueva contraseña',
+      changePassword: 'Cambiar contraseña',
+      passwordChanged: 'Tu contraseña se cambió correctamente',
+      sessions: 'Sesiones',
+      signOutAllDevices: 'Cerrar sesión en todos los dispositivos',
+      signOutAllDevicesHint: 'Termina todas las sesiones activas, incluida esta',
+      signOutEverywhere: 'Cerrar sesión en todos lados',
+      confirmSignOutEverywhere: '¿Cerrar sesión en todos los dispositivos? Tendrás que volver a iniciar sesión en cada uno.'
+    },
+    notifications: {
+      title: 'Preferencias de notificaciones',
+      email: 'Notificaciones por correo',
+      emailHint: 'Recibe notificaciones por correo electrónico',
+      push: 'Notificaciones push',
+      pushHint: 'Recibe notificaciones push en el navegador',
+      blocked: 'Las notificaciones del navegador están bloqueadas para este sitio'
+    },
+    preferences: {
+      title: 'Preferencias del sistema',
+      theme: 'Tema',
+      themeHint: 'Elige un tema o usa la configuración de tu sistema',
+      themes: {
+        light: 'Claro',
+        dark: 'Oscuro',
+        system: 'Sistema'
+      },
+      language: 'Idioma',
+      timezone: 'Zona horaria',
+      timezones: {
+        utc: 'UTC',
+        mexicoCity: 'Hora del Centro (Ciudad de México)',
+        eastern: 'Hora del Este (EE. UU.)',
+        central: 'Hora del Centro (EE. UU.)',
+        mountain: 'Hora de la Montaña (EE. UU.)',
+        pacific: 'Hora del Pacífico (EE. UU.)',
+        london: 'GMT'
+      }
+    }
+  },
+
+  twoFactor: {
+    title: 'Autenticación en dos pasos',
+    description: 'Agrega una capa extra de seguridad a tu cuenta',
+    enabled: {
+      one: 'Activada, queda {{count}} código de recuperación',
+      other: 'Activada, quedan {{count}} códigos de recuperación'
+    },
+    disabled: 'Desactivada',
+    enable: 'Activar',
+    disable: 'Desactivar',
+    newRecoveryCodes: 'Nuevos códigos de recuperación',
+    disableInstructions: 'Tu cuenta quedará protegida solo por tu contraseña. Escribe el código actual de tu aplicación de autenticación para confirmar.',
+    confirmRegenerate: '¿Generar nuevos códigos de recuperación? Tus códigos actuales dejarán de funcionar.',
+    scanInstructions: 'Escanea este código QR con una app de autenticación como Google Authenticator o Microsoft Authenticator y luego ingresa el código de 6 dígitos que muestre.',
+    manualKey: '¿No puedes escanearlo? Ingresa esta clave:',
+    openInApp: 'Abrir en la app de autenticación',
+    verificationCode: 'Código de verificación',
+    verifyAndEnable: 'Verificar y activar',
+    codesCopied: 'Códigos de recuperación copiados al portapapeles.',
+    copyFailed: 'No se pudieron copiar los códigos. Selecciónalos o descárgalos.',
+    saveRecoveryCodes: 'Guarda estos códigos de recuperación en un lugar seguro. Cada uno sirve una sola vez para iniciar sesión si pierdes acceso a tu app de autenticación.'
+  }
+};
+
+export default esMX;
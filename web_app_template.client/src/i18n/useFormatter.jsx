@@ -0,0 +1,30 @@
+import { useMemo } from 'react';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { resolveLocale } from './index';
+import {
+  formatDate,
+  formatDateTime,
+  formatRelativeTime,
+  formatNumber,
+  formatPercent
+} from '../utils/format';
+
+// The utils/format helpers bound to the user's language and timezone
+export const useFormatter = () => {
+  const { preferences } = usePreferences();
+  const locale = resolveLocale(preferences.language);
+  const timeZone = preferences.timezone;
+
+  return useMemo(() => {
+    const settings = { locale, timeZone };
+    return {
+      locale,
+      timeZone,
+      formatDate: (value, options) => formatDate(value, settings, options),
+      formatDateTime: (value) => formatDateTime(value, settings),
+      formatRelativeTime: (value, now) => formatRelativeTime(value, { locale, now }),
+      formatNumber: (value, options) => formatNumber(value, settings, options),
+      formatPercent: (value, options) => formatPercent(value, settings, options)
+    };
+  }, [locale, timeZone]);
+};
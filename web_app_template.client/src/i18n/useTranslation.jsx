@@ -0,0 +1,13 @@
+import { useCallback } from 'react';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { translate, resolveLocale } from './index';
+
+// Re-renders with the new catalog as soon as the language preference changes
+export const useTranslation = () => {
+  const { preferences } = usePreferences();
+  const locale = resolveLocale(preferences.language);
+
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+
+  return { t, locale };
+};
@@ -0,0 +1,144 @@
+import { translate, getCurrentLocale } from '../i18n';
+
+// Mirrors web_app_template.Domain.Enums.ResponseStatusCodes
+export const ResponseStatusCodes = {
+  Ok: 200,
+  Created: 201,
+  Accepted: 202,
+  NoContent: 204,
+  BadRequest: 400,
+  Unauthorized: 401,
+  Forbiden: 403,
+  NotFound: 404,
+  InternalServerError: 500,
+  NotImplemented: 501,
+  BadGateway: 502
+};
+
+// Fallbacks for responses that carry no message of their own
+const defaultMessageKeys = {
+  0: 'errors.network',
+  400: 'errors.badRequest',
+  401: 'errors.unauthorized',
+  403: 'errors.forbidden',
+  404: 'errors.notFound',
+  500: 'errors.server'
+};
+
+const getDefaultMessage = (status) =>
+  translate(getCurrentLocale(), defaultMessageKeys[status] || defaultMessageKeys[500]);
+
+// ASP.NET Identity error codes that belong to a specific form field
+const identityFieldPrefixes = [
+  { prefix: 'PasswordMismatch', field: 'currentPassword' },
+  { prefix: 'Password', field: 'password' },
+  { prefix: 'DuplicateEmail', field: 'email' },
+  { prefix: 'InvalidEmail', field: 'email' },
+  { prefix: 'DuplicateUserName', field: 'email' },
+  { prefix: 'InvalidUserName', field: 'email' }
+];
+
+const getCodeName = (status) => {
+  if (!status) return 'NetworkError';
+  const entry = Object.entries(ResponseStatusCodes).find(([, value]) => value === status);
+  return entry ? entry[0] : 'Unknown';
+};
+
+const toFieldKey = (name) => {
+  // "$.Email" / "Email" / "Address.Street" -> "email" / "address.street"
+  const clean = name.replace(/^\$\.?/, '');
+  return clean
+    .split('.')
+    .map(part => part.charAt(0).toLowerCase() + part.slice(1))
+    .join('.');
+};
+
+const addFieldError = (fieldErrors, field, message) => {
+  fieldErrors[field] = [...(fieldErrors[field] || []), message];
+};
+
+const parseFieldErrors = (body) => {
+  const fieldErrors = {};
+
+  // ValidationProblemDetails / ModelState: { errors: { Email: ['...'] } }
+  const modelState = body?.errors && typeof body.errors === 'object' && !Array.isArray(body.errors)
+    ? body.errors
+    : null;
+  if (modelState) {
+    Object.entries(modelState).forEach(([name, messages]) => {
+      [].concat(messages).forEach(message => addFieldError(fieldErrors, toFieldKey(name), message));
+    });
+  }
+
+  // IdentityResult.Errors: [{ code, description }]
+  const identityErrors = Array.isArray(body) ? body : Array.isArray(body?.errors) ? body.errors : null;
+  if (identityErrors) {
+    identityErrors.forEach(({ code = '', description }) => {
+      const match = identityFieldPrefixes.find(({ prefix }) => code.startsWith(prefix));
+      addFieldError(fieldErrors, match ? match.field : '_form', description);
+    });
+  }
+
+  return fieldErrors;
+};
+
+const parseMessage = (body, fieldErrors, status) => {
+  if (typeof body === 'string' && body.trim()) return body;
+  // RequestMiddleware replaces the numeric ApiResponse.Message with its localized text
+  if (typeof body?.message === 'string' && body.message) return body.message;
+  if (typeof body?.title === 'string' && body.title) return body.title;
+
+  const firstFieldError = Object.values(fieldErrors)[0]?.[0];
+  return firstFieldError || getDefaultMessage(status);
+};
+
+/**
+ * Normalized error raised by every service module. `status` is the HTTP
+ * status (0 when the server was unreachable), `code` the matching
+ * ResponseStatusCodes name, and `fieldErrors` maps camelCase field names to
+ * their validation messages.
+ */
+export class ApiError extends Error {
+  constructor({ message, status = 0, code, fieldErrors = {}, data = null }) {
+    super(message || getDefaultMessage(status));
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || getCodeName(status);
+    this.fieldErrors = fieldErrors;
+    this.data = data;
+  }
+
+  getFieldError(field) {
+    return this.fieldErrors[field]?.[0] || null;
+  }
+
+  static from(error) {
+    if (error instanceof ApiError) return error;
+
+    const response = error?.response;
+    if (!response) {
+      return new ApiError({ message: error?.request ? getDefaultMessage(0) : error?.message });
+    }
+
+    const body = response.data;
+    // A raw ApiResponse<T> still carries the numeric ResponseStatusCodes value
+    const status = typeof body?.message === 'number' ? body.message : body?.status || response.status;
+    const fieldErrors = parseFieldErrors(body);
+
+    return new ApiError({
+      message: parseMessage(body, fieldErrors, status),
+      status,
+      fieldErrors,
+      data: body?.data ?? null
+    });
+  }
+}
+
+// Returns the payload of an ApiResponse<T> envelope, or the body as-is
+export const unwrap = (response) => {
+  const body = response.data;
+  if (body && typeof body === 'object' && 'data' in body && ('message' in body || 'status' in body)) {
+    return body.data;
+  }
+  return body;
+};
@@ -0,0 +1,96 @@
+import axiosApp from './axiosApp';
+import { unwrap } from './apiError';
+import {
+  FilterOperators,
+  SortOrders,
+  buildPaginatedQuery,
+  createPropertyFilter,
+  createSortDescriptor,
+  readPaginatedResult
+} from './paginatedQuery';
+
+// Event names the server is expected to write as each endpoint succeeds (or a
+// login fails). This client only reads the trail through /audit/filter;
+// recording entries, and the endpoint itself, belong to the API.
+// The client keys them in camelCase (URL values, translation keys); the
+// server stores the PascalCase names ("UserCreated").
+export const AuditActions = {
+  Login: 'login',
+  LoginFailed: 'loginFailed',
+  Logout: 'logout',
+  LogoutAllDevices: 'logoutAllDevices',
+  ProfileUpdated: 'profileUpdated',
+  PasswordChanged: 'passwordChanged',
+  TwoFactorEnabled: 'twoFactorEnabled',
+  TwoFactorDisabled: 'twoFactorDisabled',
+  PreferencesUpdated: 'preferencesUpdated',
+  UserCreated: 'userCreated',
+  UserUpdated: 'userUpdated',
+  UserDeleted: 'userDeleted',
+  UserStatusChanged: 'userStatusChanged'
+};
+
+// "UserCreated" -> "userCreated"
+const toActionKey = (action) =>
+  typeof action === 'string' && action ? action.charAt(0).toLowerCase() + action.slice(1) : '';
+
+// "userCreated" -> "UserCreated", the form the Action column holds
+const toStoredAction = (action) => action.charAt(0).toUpperCase() + action.slice(1);
+
+export const mapAuditEntry = (entry) => ({
+  id: entry.id ?? entry.Id,
+  action: toActionKey(entry.action ?? entry.Action),
+  actorId: entry.actorId ?? entry.ActorId ?? null,
+  actorName: entry.actorName ?? entry.ActorName ?? '',
+  actorEmail: entry.actorEmail ?? entry.ActorEmail ?? '',
+  actorAvatar: entry.actorProfilePicture ?? entry.ActorProfilePicture ?? null,
+  // Name or email of the user the action was applied to, when there is one
+  target: entry.targetName ?? entry.TargetName ?? null,
+  // Free-form key/value pairs, e.g. the new status or the changed fields
+  details: entry.details ?? entry.Details ?? null,
+  ipAddress: entry.ipAddress ?? entry.IpAddress ?? null,
+  createdAt: entry.createdAt ?? entry.CreatedAt ?? null
+});
+
+// The repository would otherwise sort by the first filter's property (e.g.
+// Action or ActorId), so every query asks for newest first explicitly
+const newestFirst = [createSortDescriptor('CreatedAt', 'desc')];
+
+const toAuditFilters = ({ actorId, action, from, to }) => [
+  from && createPropertyFilter('CreatedAt', from, FilterOperators.GreaterThanOrEqual),
+  to && createPropertyFilter('CreatedAt', to, FilterOperators.LessThanOrEqual),
+  action && createPropertyFilter('Action', toStoredAction(action)),
+  actorId && createPropertyFilter('ActorId', actorId)
+].filter(Boolean);
+
+export const auditAPI = {
+  // `actor` matches name or email; `from` / `to` are ISO timestamps
+  getEntries: async ({ page = 1, limit = 20, actor = '', actorId, action, from, to } = {}) => {
+    const response = await axiosApp.post('/audit/filter', buildPaginatedQuery({
+      page,
+      pageSize: limit,
+      order: SortOrders.Descending,
+      sort: newestFirst,
+      filters: toAuditFilters({ actorId, action, from, to }),
+      Actor: actor || null
+    }));
+
+    const { items, totalCount } = readPaginatedResult(unwrap(response), mapAuditEntry);
+
+    return {
+      data: {
+        entries: items,
+        total: totalCount,
+        page,
+        limit,
+        totalPages: Math.max(1, Math.ceil(totalCount / limit))
+      }
+    };
+  },
+
+  // Latest entries, optionally only those performed by one user
+  getRecent: async (limit = 5, actorId) => {
+    const response = await auditAPI.getEntries({ limit, actorId });
+    return { data: response.data.entries };
+  }
+};
@@ -1,15 +1,30 @@
 import axiosApp from './axiosApp';
-import jwtDecode from 'jwt-decode';
+import { unwrap } from './apiError';
+
+const mapProfile = (profile) => {
+  const firstName = profile.firstName ?? profile.FirstName ?? '';
+  const lastName = profile.lastName ?? profile.LastName ?? '';
+  const motherLastName = profile.motherLastName ?? profile.MotherLastName ?? '';
+
+  return {
+    email: profile.email ?? profile.Email,
+    firstName,
+    lastName,
+    motherLastName,
+    name: [firstName, lastName, motherLastName].filter(Boolean).join(' '),
+    avatar: profile.profilePicture ?? profile.ProfilePicture ?? null
+  };
+};
 
 export const authAPI = {
   login: async (email, password) => {
-
     const credentials = btoa(`${email}:${password}`);
-    console.log(credentials);
     const config = {
       headers: {
         'Authorization': `Basic ${credentials}`
-      }
+      },
+      // Bad credentials are a 401 too, never a reason to refresh
+      skipAuthRefresh: true
     };
     const response = await axiosApp.post('/auth/login', null, config);
 
@@ -17,6 +32,16 @@ export const authAPI = {
       throw new Error('Invalid credentials');
     }
 
+    // Accounts with 2FA get a short-lived challenge token instead of a session
+    if (response.data.requiresTwoFactor) {
+      return {
+        data: {
+          requiresTwoFactor: true,
+          twoFactorToken: response.data.twoFactorToken
+        }
+      };
+    }
+
     const accessToken = response.data.accessToken;
     const refreshToken = response.data.refreshToken;
     
@@ -28,36 +53,84 @@ export const authAPI = {
     };
   },
 
-  logout: async () => {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    return { data: { message: 'Logged out successfully' } };
+  // Second login step: an authenticator code or a one-time recovery code
+  verifyTwoFactor: async (twoFactorToken, code, { isRecoveryCode = false } = {}) => {
+    const response = await axiosApp.post('/auth/login/2fa', {
+      TwoFactorToken: twoFactorToken,
+      Code: isRecoveryCode ? null : code,
+      RecoveryCode: isRecoveryCode ? code : null
+    }, { skipAuthRefresh: true });
+
+    return {
+      data: {
+        accessToken: response.data.accessToken,
+        refreshToken: response.data.refreshToken
+      }
+    };
   },
 
-  getProfile: async () => {    
-    const token = localStorage.getItem('token');
-    if (!token) {
-      throw new Error('No token found');
+  // Multipart so the server can bind CreateUserViewModel.ProfilePicture
+  register: async (userData) => {
+    const formData = new FormData();
+    formData.append('Email', userData.email);
+    formData.append('Password', userData.password);
+    formData.append('ConfirmPassword', userData.confirmPassword);
+    formData.append('FirstName', userData.firstName);
+    formData.append('LastName', userData.lastName);
+    if (userData.motherLastName) {
+      formData.append('MotherLastName', userData.motherLastName);
     }
-    
-    try {
-      const decoded = JSON.parse(atob(token));
-      const user = mockUsers.find(u => u.id === decoded.id);
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
-      
-      return {
-        data: {
-          email: user.email,
-          name: user.firstName + ' ' + user.lastName,
-          role: user.role,
-          avatar: user.profilePicture
-        }
-      };
-    } catch (error) {
-      throw new Error('Invalid token');
+    if (userData.profilePicture) {
+      formData.append('ProfilePicture', userData.profilePicture);
     }
+
+    const response = await axiosApp.post('/auth/register', formData, { skipAuthRefresh: true });
+    return { data: response.data };
+  },
+
+  // Invalidates the stored RefreshToken server-side
+  logout: async () => {
+    const response = await axiosApp.post('/auth/logout');
+    return { data: response.data };
+  },
+
+  // Revokes every refresh token issued to the user, on any device
+  logoutAllDevices: async () => {
+    const response = await axiosApp.post('/auth/logout-all');
+    return { data: response.data };
+  },
+
+  // Profile fields of CustomIdentityUser for the signed-in user
+  getProfile: async () => {
+    const response = await axiosApp.get('/auth/profile');
+    return { data: mapProfile(unwrap(response)) };
+  },
+
+  updateProfile: async (profileData) => {
+    const response = await axiosApp.put('/auth/profile', {
+      FirstName: profileData.firstName,
+      LastName: profileData.lastName,
+      MotherLastName: profileData.motherLastName || null
+    });
+    return { data: mapProfile(unwrap(response)) };
+  },
+
+  // Same multipart IFormFile pattern as the server's UploadFile endpoint
+  uploadProfilePicture: async (image) => {
+    const formData = new FormData();
+    formData.append('file', image, 'profile-picture.jpg');
+
+    const response = await axiosApp.post('/auth/profile/picture', formData);
+    return { data: unwrap(response) };
+  },
+
+  // Server verifies currentPassword before applying the new one
+  changePassword: async ({ currentPassword, newPassword, confirmPassword }) => {
+    const response = await axiosApp.post('/auth/change-password', {
+      CurrentPassword: currentPassword,
+      NewPassword: newPassword,
+      ConfirmPassword: confirmPassword
+    });
+    return { data: response.data };
   }
-}; 
\ No newline at end of file
+};
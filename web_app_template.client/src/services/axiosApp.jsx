@@ -1,4 +1,6 @@
 import axios from 'axios';
+import { ApiError } from './apiError';
+import { getCurrentLocale } from '../i18n';
 
 export const BASE_URL = import.meta.env.VITE_API_BASE_URL;
 
@@ -10,13 +12,139 @@ const axiosApp = axios.create({
   // },
 });
 
+// Token persistence shared by the interceptors and AuthContext
+export const tokenStorage = {
+  getAccessToken: () => localStorage.getItem('accessToken'),
+  getRefreshToken: () => localStorage.getItem('refreshToken'),
+  setTokens: (accessToken, refreshToken) => {
+    localStorage.setItem('accessToken', accessToken);
+    localStorage.setItem('refreshToken', refreshToken);
+  },
+  clear: () => {
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('refreshToken');
+  }
+};
+
+// In-flight refresh shared by every request that fails while it runs
+let refreshPromise = null;
+let sessionExpiredHandler = null;
+
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+  return () => {
+    if (sessionExpiredHandler === handler) {
+      sessionExpiredHandler = null;
+    }
+  };
+};
+
+// Tabs share the stored tokens, so only one of them may rotate them at a time
+const withRefreshLock = (task) =>
+  navigator.locks ? navigator.locks.request('auth-refresh', task) : task();
+
+const getBearerToken = (headers) => {
+  const authorization = headers?.Authorization;
+  return typeof authorization === 'string' && authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length)
+    : null;
+};
+
+/**
+ * Exchanges the stored refresh token for new tokens. `failedToken` is the
+ * access token a rejected request carried: when the stored one is already
+ * different, an earlier refresh in this or another tab replaced it and that
+ * token is returned without rotating again.
+ */
+export const refreshSession = (failedToken) => {
+  if (!refreshPromise) {
+    refreshPromise = withRefreshLock(async () => {
+      const accessToken = tokenStorage.getAccessToken();
+      const refreshToken = tokenStorage.getRefreshToken();
+
+      if (!accessToken || !refreshToken) {
+        throw new Error('No session to refresh');
+      }
+
+      if (failedToken && accessToken !== failedToken) {
+        return accessToken;
+      }
+
+      try {
+        // Bare axios so a 401 here never re-enters the interceptor
+        const response = await axios.post(`${BASE_URL}/auth/refresh`, {
+          accessToken,
+          refreshToken
+        });
+
+        tokenStorage.setTokens(response.data.token, response.data.refreshToken);
+        return response.data.token;
+      } catch (error) {
+        // A tab without the lock may have rotated the tokens meanwhile; only
+        // a refresh token nobody replaced means the session is really over
+        if (tokenStorage.getRefreshToken() !== refreshToken && tokenStorage.getAccessToken()) {
+          return tokenStorage.getAccessToken();
+        }
+        tokenStorage.clear();
+        sessionExpiredHandler?.();
+        throw error;
+      }
+    })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+axiosApp.interceptors.request.use((config) => {
+  const accessToken = tokenStorage.getAccessToken();
+  // Explicit credentials (e.g. Basic on login) win over the stored session
+  if (accessToken && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${accessToken}`;
+  }
+  // The server localizes ApiResponse messages and validation errors from this
+  config.headers['Accept-Language'] = getCurrentLocale();
+  return config;
+});
+
 axiosApp.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    return Promise.reject(error);
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      error.response?.status !== 401 ||
+      !originalRequest ||
+      originalRequest._retry ||
+      originalRequest.skipAuthRefresh ||
+      !tokenStorage.getRefreshToken()
+    ) {
+      return Promise.reject(ApiError.from(error));
+    }
+
+    originalRequest._retry = true;
+
+    // A refresh that finished after this request was sent already replaced
+    // its token: replay with the stored one instead of rotating again
+    const failedToken = getBearerToken(originalRequest.headers);
+    const storedToken = tokenStorage.getAccessToken();
+    if (failedToken && storedToken && storedToken !== failedToken) {
+      originalRequest.headers.Authorization = `Bearer ${storedToken}`;
+      return axiosApp(originalRequest);
+    }
+
+    try {
+      const accessToken = await refreshSession(failedToken);
+      originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+      return axiosApp(originalRequest);
+    } catch {
+      return Promise.reject(ApiError.from(error));
+    }
   },
 );
 
-export default axiosApp;
\ No newline at end of file
+export default axiosApp;
@@ -0,0 +1,65 @@
+import axiosApp from './axiosApp';
+import { unwrap } from './apiError';
+
+export const DashboardPeriods = [7, 30, 90];
+
+// { value, previousValue } -> adds `change` as a ratio of the previous period
+const mapMetric = (metric) => {
+  if (metric === null || metric === undefined) return null;
+  const value = metric.value ?? metric.Value ?? null;
+  const previousValue = metric.previousValue ?? metric.PreviousValue ?? null;
+
+  return {
+    value,
+    previousValue,
+    change: value !== null && previousValue ? (value - previousValue) / previousValue : null
+  };
+};
+
+// [{ date: 'YYYY-MM-DD', value }] -> one point per calendar day
+const mapSeries = (series) =>
+  (series ?? []).map((point) => ({
+    date: point.date ?? point.Date,
+    value: point.value ?? point.Value ?? 0
+  }));
+
+export const dashboardAPI = {
+  // Aggregates for the last `periodDays`, each compared with the period before it
+  getStats: async (periodDays = 30) => {
+    const response = await axiosApp.get('/dashboard/stats', {
+      params: { periodDays }
+    });
+    const stats = unwrap(response) || {};
+
+    return {
+      data: {
+        totalUsers: mapMetric(stats.totalUsers ?? stats.TotalUsers),
+        activeSessions: mapMetric(stats.activeSessions ?? stats.ActiveSessions),
+        // Ratio between 0 and 1
+        systemLoad: mapMetric(stats.systemLoad ?? stats.SystemLoad),
+        // Score between 0 and 100
+        securityScore: mapMetric(stats.securityScore ?? stats.SecurityScore),
+        generatedAt: stats.generatedAt ?? stats.GeneratedAt ?? new Date().toISOString()
+      }
+    };
+  },
+
+  // Daily series for the same period; days are bucketed in `timeZone`
+  getTrends: async (periodDays = 30, timeZone) => {
+    const response = await axiosApp.get('/dashboard/trends', {
+      params: { periodDays, timeZone }
+    });
+    const trends = unwrap(response) || {};
+
+    return {
+      data: {
+        signups: mapSeries(trends.signups ?? trends.Signups),
+        dailyLogins: mapSeries(trends.dailyLogins ?? trends.DailyLogins),
+        roleDistribution: (trends.roleDistribution ?? trends.RoleDistribution ?? []).map((entry) => ({
+          role: entry.role ?? entry.Role,
+          count: entry.count ?? entry.Count ?? 0
+        }))
+      }
+    };
+  }
+};
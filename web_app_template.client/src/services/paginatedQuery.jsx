@@ -0,0 +1,54 @@
+// Operators understood by GenericRepository.BuildPredicate
+export const FilterOperators = {
+  Equal: '==',
+  NotEqual: '!=',
+  GreaterThan: '>',
+  LessThan: '<',
+  GreaterThanOrEqual: '>=',
+  LessThanOrEqual: '<=',
+  // Value is an array; matches any of its entries
+  In: 'in'
+};
+
+// The repository sorts by the first filter's property
+export const SortOrders = {
+  Ascending: 1,
+  Descending: 2
+};
+
+// Shape of web_app_template.Domain.Models.PropertyFilter
+export const createPropertyFilter = (propertyName, value, operator = FilterOperators.Equal) => ({
+  PropertyName: propertyName,
+  Value: value,
+  Operator: operator
+});
+
+// One entry of a multi-column sort, applied in array order
+export const createSortDescriptor = (propertyName, direction = 'asc') => ({
+  PropertyName: propertyName,
+  Descending: direction === 'desc'
+});
+
+/**
+ * Builds the body for a FilterPaginatedAsync-backed endpoint. Filters with an
+ * empty value are dropped, the repository would skip them anyway. `sort`
+ * (sort descriptors) takes precedence over `order` when the endpoint supports it.
+ */
+export const buildPaginatedQuery = ({ page = 1, pageSize = 10, filters = [], order = 1, sort = [], ...extra } = {}) => ({
+  PageNumber: page,
+  PageSize: pageSize,
+  Order: order,
+  PropertyFilters: filters.filter(filter => filter.Value !== undefined && filter.Value !== null && filter.Value !== ''),
+  SortBy: sort.length ? sort : null,
+  ...extra
+});
+
+// Reads PaginatedResult<T> regardless of the serializer's property casing
+export const readPaginatedResult = (result, mapItem = item => item) => {
+  const items = result?.items ?? result?.Items ?? [];
+  const totalCount = result?.totalCount ?? result?.TotalCount ?? 0;
+  return {
+    items: items.map(mapItem),
+    totalCount
+  };
+};
@@ -0,0 +1,33 @@
+import axiosApp from './axiosApp';
+import { unwrap } from './apiError';
+
+const mapPreferences = (preferences) => ({
+  emailNotifications: preferences.emailNotifications ?? preferences.EmailNotifications,
+  pushNotifications: preferences.pushNotifications ?? preferences.PushNotifications,
+  theme: preferences.theme ?? preferences.Theme,
+  language: preferences.language ?? preferences.Language,
+  // Serialized as timeZone (camelCase of the server's TimeZone)
+  timezone: preferences.timeZone ?? preferences.TimeZone ?? preferences.timezone
+});
+
+// Unset keys stay undefined so the client defaults fill them in
+const dropUndefined = (values) =>
+  Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null));
+
+export const preferencesAPI = {
+  getPreferences: async () => {
+    const response = await axiosApp.get('/auth/preferences');
+    return { data: dropUndefined(mapPreferences(unwrap(response) || {})) };
+  },
+
+  updatePreferences: async (preferences) => {
+    const response = await axiosApp.put('/auth/preferences', {
+      EmailNotifications: preferences.emailNotifications,
+      PushNotifications: preferences.pushNotifications,
+      Theme: preferences.theme,
+      Language: preferences.language,
+      TimeZone: preferences.timezone
+    });
+    return { data: dropUndefined(mapPreferences(unwrap(response) || preferences)) };
+  }
+};
@@ -0,0 +1,47 @@
+import axiosApp from './axiosApp';
+import { unwrap } from './apiError';
+
+// TOTP authenticator management for the signed-in user
+export const twoFactorAPI = {
+  getStatus: async () => {
+    const response = await axiosApp.get('/auth/2fa');
+    const status = unwrap(response);
+    return {
+      data: {
+        isEnabled: status.isEnabled ?? status.IsEnabled ?? false,
+        recoveryCodesLeft: status.recoveryCodesLeft ?? status.RecoveryCodesLeft ?? 0
+      }
+    };
+  },
+
+  // Resets the authenticator key and returns it with its otpauth:// URI
+  beginSetup: async () => {
+    const response = await axiosApp.post('/auth/2fa/setup');
+    const setup = unwrap(response);
+    return {
+      data: {
+        sharedKey: setup.sharedKey ?? setup.SharedKey,
+        authenticatorUri: setup.authenticatorUri ?? setup.AuthenticatorUri
+      }
+    };
+  },
+
+  // Verifies the first code from the app; the server answers with recovery codes
+  enable: async (code) => {
+    const response = await axiosApp.post('/auth/2fa/enable', { Code: code });
+    const result = unwrap(response);
+    return { data: { recoveryCodes: result.recoveryCodes ?? result.RecoveryCodes ?? [] } };
+  },
+
+  // Needs a current code from the app, so a live session alone cannot turn it off
+  disable: async (code) => {
+    const response = await axiosApp.post('/auth/2fa/disable', { Code: code });
+    return { data: unwrap(response) };
+  },
+
+  regenerateRecoveryCodes: async () => {
+    const response = await axiosApp.post('/auth/2fa/recovery-codes');
+    const result = unwrap(response);
+    return { data: { recoveryCodes: result.recoveryCodes ?? result.RecoveryCodes ?? [] } };
+  }
+};
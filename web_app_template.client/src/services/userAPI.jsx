@@ -1,161 +1,169 @@
-// Mock user data for user management
-const mockUsersData = [
-  {
-    id: 1,
-    email: 'admin@example.com',
-    name: 'Admin User',
-    role: 'admin',
-    status: 'active',
-    avatar: 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=150&h=150&fit=crop&crop=face',
-    createdAt: '2023-01-15',
-    lastLogin: '2023-12-01T10:30:00Z'
-  },
-  {
-    id: 2,
-    email: 'manager@example.com',
-    name: 'Manager User',
-    role: 'manager',
-    status: 'active',
-    avatar: 'https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=150&h=150&fit=crop&crop=face',
-    createdAt: '2023-02-20',
-    lastLogin: '2023-12-01T09:15:00Z'
-  },
-  {
-    id: 3,
-    email: 'user@example.com',
-    name: 'Regular User',
-    role: 'user',
-    status: 'active',
-    avatar: 'https://images.unsplash.com/photo-1494790108755-2616b612b786?w=150&h=150&fit=crop&crop=face',
-    createdAt: '2023-03-10',
-    lastLogin: '2023-12-01T08:45:00Z'
-  },
-  {
-    id: 4,
-    email: 'john.doe@example.com',
-    name: 'John Doe',
-    role: 'user',
-    status: 'inactive',
-    avatar: 'https://images.unsplash.com/photo-1500648767791-00dcc994a43e?w=150&h=150&fit=crop&crop=face',
-    createdAt: '2023-04-05',
-    lastLogin: '2023-11-28T14:20:00Z'
-  },
-  {
-    id: 5,
-    email: 'jane.smith@example.com',
-    name: 'Jane Smith',
-    role: 'manager',
-    status: 'active',
-    avatar: 'https://images.unsplash.com/photo-1438761681033-6461ffad8d80?w=150&h=150&fit=crop&crop=face',
-    createdAt: '2023-05-12',
-    lastLogin: '2023-12-01T11:00:00Z'
-  }
-];
+import axiosApp from './axiosApp';
+import { unwrap } from './apiError';
+import { FilterOperators, buildPaginatedQuery, createPropertyFilter, readPaginatedResult } from './paginatedQuery';
+import { toRoleList } from '../utils/permissions';
+
+// Maps the server user view model onto the shape the components render
+export const mapUser = (user) => {
+  const firstName = user.firstName ?? user.FirstName ?? '';
+  const lastName = user.lastName ?? user.LastName ?? '';
+  const motherLastName = user.motherLastName ?? user.MotherLastName ?? '';
+  const isActive = user.isActive ?? user.IsActive;
+  const roles = toRoleList(user.roles ?? user.Roles ?? user.role ?? user.Role);
+
+  return {
+    id: user.id ?? user.Id,
+    email: user.email ?? user.Email,
+    firstName,
+    lastName,
+    motherLastName,
+    name: [firstName, lastName, motherLastName].filter(Boolean).join(' '),
+    // First role only, for compact display; writes must use `roles`
+    role: roles[0] ?? null,
+    roles,
+    status: isActive === false ? 'inactive' : 'active',
+    avatar: user.profilePicture ?? user.ProfilePicture ?? null,
+    createdAt: user.createdAt ?? user.CreatedAt ?? null,
+    lastLogin: user.lastLogin ?? user.LastLogin ?? null
+  };
+};
+
+// One refresh token issued to the user, i.e. a signed-in browser or device
+const mapSession = (session) => ({
+  id: session.id ?? session.Id,
+  userAgent: session.userAgent ?? session.UserAgent ?? '',
+  ipAddress: session.ipAddress ?? session.IpAddress ?? null,
+  createdAt: session.createdAt ?? session.CreatedAt ?? null,
+  lastActiveAt: session.lastActiveAt ?? session.LastActiveAt ?? null
+});
+
+// A role the user held; `removedAt` is null while it is still assigned
+const mapRoleChange = (change) => ({
+  role: change.role ?? change.Role,
+  assignedAt: change.assignedAt ?? change.AssignedAt ?? null,
+  assignedBy: change.assignedByName ?? change.AssignedByName ?? null,
+  removedAt: change.removedAt ?? change.RemovedAt ?? null
+});
+
+const toUserPayload = (userData) => ({
+  Email: userData.email,
+  FirstName: userData.firstName,
+  LastName: userData.lastName,
+  MotherLastName: userData.motherLastName || null,
+  // Only sent when creating; updates leave the password alone
+  Password: userData.password,
+  ConfirmPassword: userData.password,
+  // The complete list: the server replaces the user's roles with it, so
+  // sending only one would drop the others. Single-role callers pass `role`.
+  Roles: userData.roles ?? (userData.role ? [userData.role] : undefined),
+  IsActive: userData.status ? userData.status === 'active' : undefined
+});
 
 export const userAPI = {
-  getUsers: async (page = 1, limit = 10, search = '') => {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 800));
-    
-    let filteredUsers = [...mockUsersData];
-    
-    // Apply search filter
-    if (search) {
-      filteredUsers = filteredUsers.filter(user => 
-        user.name.toLowerCase().includes(search.toLowerCase()) ||
-        user.email.toLowerCase().includes(search.toLowerCase())
-      );
-    }
-    
-    // Apply pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedUsers = filteredUsers.slice(startIndex, endIndex);
-    
+  getUsers: async (page = 1, limit = 10, search = '', filters = [], sort = []) => {
+    const response = await axiosApp.post('/users/filter', buildPaginatedQuery({
+      page,
+      pageSize: limit,
+      filters,
+      sort,
+      Search: search || null
+    }));
+
+    const { items, totalCount } = readPaginatedResult(unwrap(response), mapUser);
+
     return {
       data: {
-        users: paginatedUsers,
-        total: filteredUsers.length,
+        users: items,
+        total: totalCount,
         page,
         limit,
-        totalPages: Math.ceil(filteredUsers.length / limit)
+        totalPages: Math.max(1, Math.ceil(totalCount / limit))
       }
     };
   },
 
+  // Every user matching the filters, fetched page by page and held in
+  // memory; `onProgress` receives (loaded, total) after each page. When more
+  // than `maxCount` users match, it stops after the first page and resolves
+  // to { data: null, total }.
+  getAllUsers: async (search = '', filters = [], sort = [], { pageSize = 100, maxCount = Infinity, onProgress } = {}) => {
+    const users = [];
+    let page = 1;
+    let totalPages = 1;
+    let total = 0;
+
+    do {
+      const response = await userAPI.getUsers(page, pageSize, search, filters, sort);
+      total = response.data.total;
+      if (total > maxCount) {
+        return { data: null, total };
+      }
+      users.push(...response.data.users);
+      totalPages = response.data.totalPages;
+      onProgress?.(users.length, total);
+      page += 1;
+    } while (page <= totalPages);
+
+    return { data: users, total };
+  },
+
+  // Which of `emails` (lowercase) already belong to an account, found with
+  // one request that matches Identity's NormalizedEmail against the list
+  getExistingEmails: async (emails) => {
+    if (emails.length === 0) return { data: new Set() };
+
+    const response = await userAPI.getUsers(1, emails.length, '', [
+      createPropertyFilter('NormalizedEmail', emails.map(email => email.toUpperCase()), FilterOperators.In)
+    ]);
+    return { data: new Set(response.data.users.map(user => user.email.toLowerCase())) };
+  },
+
   getUserById: async (id) => {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    const user = mockUsersData.find(u => u.id === parseInt(id));
-    
-    if (!user) {
-      throw new Error('User not found');
-    }
-    
-    return { data: user };
+    const response = await axiosApp.get(`/users/${id}`);
+    return { data: mapUser(unwrap(response)) };
   },
 
   createUser: async (userData) => {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    const newUser = {
-      id: mockUsersData.length + 1,
-      ...userData,
-      status: 'active',
-      createdAt: new Date().toISOString().split('T')[0],
-      lastLogin: null,
-      avatar: 'https://images.unsplash.com/photo-1535713875002-d1d0cf377fde?w=150&h=150&fit=crop&crop=face'
-    };
-    
-    mockUsersData.push(newUser);
-    
-    return { data: newUser };
+    const response = await axiosApp.post('/users', toUserPayload(userData));
+    return { data: mapUser(unwrap(response)) };
   },
 
   updateUser: async (id, userData) => {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 800));
-    
-    const userIndex = mockUsersData.findIndex(u => u.id === parseInt(id));
-    
-    if (userIndex === -1) {
-      throw new Error('User not found');
-    }
-    
-    mockUsersData[userIndex] = { ...mockUsersData[userIndex], ...userData };
-    
-    return { data: mockUsersData[userIndex] };
+    const response = await axiosApp.put(`/users/${id}`, toUserPayload(userData));
+    return { data: mapUser(unwrap(response)) };
   },
 
   deleteUser: async (id) => {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 600));
-    
-    const userIndex = mockUsersData.findIndex(u => u.id === parseInt(id));
-    
-    if (userIndex === -1) {
-      throw new Error('User not found');
-    }
-    
-    mockUsersData.splice(userIndex, 1);
-    
-    return { data: { message: 'User deleted successfully' } };
+    const response = await axiosApp.delete(`/users/${id}`);
+    return { data: unwrap(response) };
   },
 
   updateUserStatus: async (id, status) => {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    const user = mockUsersData.find(u => u.id === parseInt(id));
-    
-    if (!user) {
-      throw new Error('User not found');
-    }
-    
-    user.status = status;
-    
-    return { data: user };
+    const response = await axiosApp.patch(`/users/${id}/status`, {
+      IsActive: status === 'active'
+    });
+    return { data: mapUser(unwrap(response)) };
+  },
+
+  // Newest assignment first
+  getRoleHistory: async (id) => {
+    const response = await axiosApp.get(`/users/${id}/role-history`);
+    return { data: (unwrap(response) ?? []).map(mapRoleChange) };
+  },
+
+  getSessions: async (id) => {
+    const response = await axiosApp.get(`/users/${id}/sessions`);
+    return { data: (unwrap(response) ?? []).map(mapSession) };
+  },
+
+  // Revokes the session's refresh token; its access token lapses on expiry
+  revokeSession: async (id, sessionId) => {
+    const response = await axiosApp.delete(`/users/${id}/sessions/${sessionId}`);
+    return { data: unwrap(response) };
+  },
+
+  revokeAllSessions: async (id) => {
+    const response = await axiosApp.delete(`/users/${id}/sessions`);
+    return { data: unwrap(response) };
   }
-}; 
\ No newline at end of file
+};
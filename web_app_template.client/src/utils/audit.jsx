@@ -0,0 +1,21 @@
+import { AuditActions } from '../services/auditAPI';
+
+// Badge colour per kind of event
+export const getAuditActionColor = (action) => {
+  if (action === AuditActions.LoginFailed || action === AuditActions.UserDeleted) {
+    return 'bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-300';
+  }
+  if (action.startsWith('user')) {
+    return 'bg-blue-100 dark:bg-blue-900/40 text-blue-800 dark:text-blue-300';
+  }
+  if ([AuditActions.Login, AuditActions.Logout, AuditActions.LogoutAllDevices].includes(action)) {
+    return 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200';
+  }
+  return 'bg-yellow-100 dark:bg-yellow-900/40 text-yellow-800 dark:text-yellow-300';
+};
+
+// One-line sentence for an entry, e.g. "Deactivated jane@example.com"
+export const describeAuditEntry = (entry, t) => {
+  const target = entry.target || '—';
+  return t(`audit.descriptions.${entry.action}`, { target, defaultValue: entry.action });
+};
@@ -0,0 +1,28 @@
+/**
+ * Runs `task(item)` for every item, at most `concurrency` at a time, and
+ * never rejects: each result is { item, success, error }. `onProgress`
+ * receives the number of finished items after each one completes.
+ */
+export const runInBatches = async (items, task, { concurrency = 4, onProgress } = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let finished = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      const item = items[index];
+      try {
+        await task(item);
+        results[index] = { item, success: true, error: null };
+      } catch (error) {
+        results[index] = { item, success: false, error: error.message };
+      }
+      finished += 1;
+      onProgress?.(finished);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
@@ -0,0 +1,12 @@
+// Some browsers start reading the object URL only after click() returns
+const REVOKE_DELAY_MS = 1000;
+
+// Saves a Blob through a temporary link, e.g. a generated report
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
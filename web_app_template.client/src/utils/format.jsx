@@ -0,0 +1,95 @@
+// Intl-based formatters; `locale` and `timeZone` come from the user's preferences
+
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const formatDate = (value, { locale, timeZone } = {}, options = { dateStyle: 'medium' }) => {
+  const date = toDate(value);
+  return date ? new Intl.DateTimeFormat(locale, { timeZone, ...options }).format(date) : '';
+};
+
+export const formatDateTime = (value, settings) =>
+  formatDate(value, settings, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Minutes `timeZone` is ahead of UTC at `date`, e.g. -360 for Mexico City
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return (wallClock - (date.getTime() - date.getUTCMilliseconds())) / 60000;
+};
+
+/**
+ * The instant at which `time` ("23:59:59.999") on `date` ("2025-01-31")
+ * happens in `timeZone`, so a day picked in a date input covers that day as
+ * the user's own clock shows it rather than the browser's.
+ */
+export const zonedTimeToDate = (date, time, timeZone) => {
+  const wallClock = new Date(`${date}T${time}Z`);
+  if (Number.isNaN(wallClock.getTime())) return null;
+
+  // The offset at the wall-clock instant is right except next to a DST
+  // change, where the offset at the first guess corrects it
+  const guess = new Date(wallClock.getTime() - getTimeZoneOffset(wallClock, timeZone) * 60000);
+  return new Date(wallClock.getTime() - getTimeZoneOffset(guess, timeZone) * 60000);
+};
+
+// Largest unit first; the first one the difference reaches is used
+const relativeUnits = [
+  { unit: 'year', seconds: 365 * 24 * 60 * 60 },
+  { unit: 'month', seconds: 30 * 24 * 60 * 60 },
+  { unit: 'week', seconds: 7 * 24 * 60 * 60 },
+  { unit: 'day', seconds: 24 * 60 * 60 },
+  { unit: 'hour', seconds: 60 * 60 },
+  { unit: 'minute', seconds: 60 },
+  { unit: 'second', seconds: 1 }
+];
+
+/**
+ * "3 minutes ago" / "in 2 days" / "yesterday". Anything under a minute
+ * reads as "now" so a live timestamp does not tick every second.
+ */
+export const formatRelativeTime = (value, { locale, now = Date.now() } = {}) => {
+  const date = toDate(value);
+  if (!date) return '';
+
+  const diffSeconds = (date.getTime() - now) / 1000;
+  const formatter = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+
+  if (Math.abs(diffSeconds) < 60) {
+    return formatter.format(0, 'second');
+  }
+
+  const { unit, seconds } = relativeUnits.find(({ seconds }) => Math.abs(diffSeconds) >= seconds);
+  return formatter.format(Math.round(diffSeconds / seconds), unit);
+};
+
+// How often a relative label can change: every minute for the first hour, then hourly
+export const getRelativeRefreshInterval = (value, now = Date.now()) => {
+  const date = toDate(value);
+  if (!date) return null;
+  const age = Math.abs(now - date.getTime());
+  return age < 60 * 60 * 1000 ? 60 * 1000 : 60 * 60 * 1000;
+};
+
+export const formatNumber = (value, { locale } = {}, options) =>
+  typeof value === 'number' && Number.isFinite(value)
+    ? new Intl.NumberFormat(locale, options).format(value)
+    : '';
+
+// `value` is a ratio: 0.12 -> "12%"
+export const formatPercent = (value, settings, options) =>
+  formatNumber(value, settings, { style: 'percent', maximumFractionDigits: 1, ...options });
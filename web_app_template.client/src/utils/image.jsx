@@ -0,0 +1,52 @@
+// Failure reasons; components translate them under settings.profile.imageErrors
+export const ImageErrorCodes = {
+  InvalidImage: 'invalidImage',
+  ProcessingFailed: 'processingFailed'
+};
+
+export class ImageError extends Error {
+  constructor(code) {
+    super(code);
+    this.name = 'ImageError';
+    this.code = code;
+  }
+}
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new ImageError(ImageErrorCodes.InvalidImage));
+  };
+  image.src = url;
+});
+
+/**
+ * Center-crops an image file to a square and scales it down to `size` pixels,
+ * so avatars upload small and render without distortion.
+ */
+export const cropToSquare = async (file, size = 256, type = 'image/jpeg', quality = 0.9) => {
+  const image = await loadImage(file);
+  const side = Math.min(image.naturalWidth, image.naturalHeight);
+  const sourceX = (image.naturalWidth - side) / 2;
+  const sourceY = (image.naturalHeight - side) / 2;
+  const targetSize = Math.min(size, side);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = targetSize;
+  canvas.height = targetSize;
+  canvas.getContext('2d').drawImage(image, sourceX, sourceY, side, side, 0, 0, targetSize, targetSize);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new ImageError(ImageErrorCodes.ProcessingFailed))),
+      type,
+      quality
+    );
+  });
+};
@@ -0,0 +1,50 @@
+// ASP.NET Identity's default PasswordOptions; labels live under password.rules.<id>
+export const passwordRules = [
+  { id: 'length', test: (password) => password.length >= 6 },
+  { id: 'digit', test: (password) => /\d/.test(password) },
+  { id: 'lowercase', test: (password) => /[a-z]/.test(password) },
+  { id: 'uppercase', test: (password) => /[A-Z]/.test(password) },
+  { id: 'nonAlphanumeric', test: (password) => /[^a-zA-Z0-9]/.test(password) }
+];
+
+export const getFailedPasswordRules = (password = '') =>
+  passwordRules.filter(rule => !rule.test(password));
+
+// One alphabet per character class; no look-alikes (0/O, 1/l/I) and no
+// symbols a spreadsheet would read as the start of a formula
+const passwordAlphabets = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789', '!#$%&*?_'];
+
+const randomIndex = (size) => crypto.getRandomValues(new Uint32Array(1))[0] % size;
+
+// A random password that meets every rule above, for accounts created in bulk
+export const generatePassword = (length = 16) => {
+  const all = passwordAlphabets.join('');
+  const chars = [
+    ...passwordAlphabets.map(alphabet => alphabet[randomIndex(alphabet.length)]),
+    ...Array.from({ length: length - passwordAlphabets.length }, () => all[randomIndex(all.length)])
+  ];
+  // Shuffle so the guaranteed characters are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = randomIndex(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+};
+
+const strengthLevels = ['veryWeak', 'weak', 'fair', 'good', 'strong'];
+
+/**
+ * Scores a password from 0 to 4. Meeting the policy gets a password to
+ * "Good"; extra length is what makes it "Strong".
+ */
+export const getPasswordStrength = (password = '') => {
+  if (!password) return { score: 0, level: null };
+
+  const passed = passwordRules.length - getFailedPasswordRules(password).length;
+  let score = Math.floor((passed / passwordRules.length) * 3);
+  if (passed === passwordRules.length && password.length >= 12) {
+    score = 4;
+  }
+
+  return { score, level: strengthLevels[score] };
+};
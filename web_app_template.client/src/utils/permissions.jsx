@@ -0,0 +1,50 @@
+// Role names as issued by ASP.NET Identity in the JWT role claim
+export const Roles = {
+  Admin: 'Admin',
+  Manager: 'Manager',
+  User: 'User'
+};
+
+export const Permissions = {
+  ViewDashboard: 'dashboard.view',
+  ViewReports: 'reports.view',
+  ManageUsers: 'users.manage',
+  ManageSecurity: 'security.manage',
+  ViewAuditLog: 'audit.view',
+  ManageOwnSettings: 'settings.own'
+};
+
+// Single source of truth for what each role may do
+const rolePermissions = {
+  admin: Object.values(Permissions),
+  manager: [
+    Permissions.ViewDashboard,
+    Permissions.ViewReports,
+    Permissions.ManageOwnSettings
+  ],
+  user: [
+    Permissions.ViewDashboard,
+    Permissions.ManageOwnSettings
+  ]
+};
+
+// Highest privilege first, used to pick a user's primary role
+const rolePrecedence = ['admin', 'manager', 'user'];
+
+// Role claims are compared case-insensitively ("admin" === "Admin")
+export const normalizeRole = (role) => (typeof role === 'string' ? role.trim().toLowerCase() : '');
+
+// A user may hold several roles; the claim arrives as a string or an array
+export const toRoleList = (roleClaim) => [].concat(roleClaim ?? []).filter(Boolean);
+
+export const getUserRoles = (user) => toRoleList(user?.roles).map(normalizeRole);
+
+export const hasRole = (user, role) => getUserRoles(user).includes(normalizeRole(role));
+
+export const hasPermission = (user, permission) =>
+  getUserRoles(user).some(role => rolePermissions[role]?.includes(permission));
+
+export const getPrimaryRole = (user) => {
+  const roles = getUserRoles(user);
+  return rolePrecedence.find(role => roles.includes(role)) || null;
+};
@@ -0,0 +1,74 @@
+// CSV writer for tabular exports plus a CSV reader for imports; `rows` is
+// an array of arrays whose first entry is the header row. XLSX files are
+// written with write-excel-file.
+
+// Quotes a field when it holds a separator, quote or line break. Text that
+// a spreadsheet would run as a formula gets a leading apostrophe.
+const escapeCsvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The byte order mark makes Excel read the file as UTF-8 (accents, ñ, ...)
+export const toCsvBlob = (rows) => {
+  const csv = rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+  return new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+};
+
+// Excel saves "CSV" with semicolons in locales that use a decimal comma
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const count = (delimiter) => firstLine.split(delimiter).length;
+  return count(';') > count(',') ? ';' : ',';
+};
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings). Handles quoted
+ * fields with embedded separators, quotes and line breaks; blank lines are
+ * skipped.
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
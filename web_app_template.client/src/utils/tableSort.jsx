@@ -0,0 +1,33 @@
+// Sort state is an ordered list of { id, direction }; the first entry sorts first
+
+// "name:asc,createdAt:desc" <-> [{ id: 'name', direction: 'asc' }, ...]
+export const parseSortParam = (value) =>
+  (value || '')
+    .split(',')
+    .map(part => part.split(':'))
+    .filter(([id]) => id)
+    .map(([id, direction]) => ({ id, direction: direction === 'desc' ? 'desc' : 'asc' }));
+
+export const formatSortParam = (sort) =>
+  sort.length ? sort.map(({ id, direction }) => `${id}:${direction}`).join(',') : null;
+
+/**
+ * Cycles a column through ascending, descending and unsorted. A plain click
+ * makes it the only sort; `additive` (shift-click) keeps the other columns.
+ */
+export const toggleSort = (sort, id, additive = false) => {
+  const current = sort.find(entry => entry.id === id);
+  const nextEntry = !current
+    ? { id, direction: 'asc' }
+    : current.direction === 'asc' ? { id, direction: 'desc' } : null;
+
+  if (!additive) {
+    return nextEntry ? [nextEntry] : [];
+  }
+  if (!current) {
+    return [...sort, nextEntry];
+  }
+  return nextEntry
+    ? sort.map(entry => (entry.id === id ? nextEntry : entry))
+    : sort.filter(entry => entry.id !== id);
+};
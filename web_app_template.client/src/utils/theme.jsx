@@ -0,0 +1,28 @@
+export const Themes = {
+  Light: 'light',
+  Dark: 'dark',
+  System: 'system'
+};
+
+const darkQuery = '(prefers-color-scheme: dark)';
+
+// "system" follows the OS setting; the other two are explicit choices
+export const resolveTheme = (theme) => {
+  if (theme === Themes.Dark || theme === Themes.Light) return theme;
+  return window.matchMedia(darkQuery).matches ? Themes.Dark : Themes.Light;
+};
+
+// index.html runs the same logic inline before first paint to avoid a flash
+export const applyTheme = (theme) => {
+  const resolved = resolveTheme(theme);
+  const root = document.documentElement;
+  root.classList.toggle('dark', resolved === Themes.Dark);
+  root.style.colorScheme = resolved;
+};
+
+// Re-applies "system" whenever the OS switches between light and dark
+export const watchSystemTheme = (onChange) => {
+  const media = window.matchMedia(darkQuery);
+  media.addEventListener('change', onChange);
+  return () => media.removeEventListener('change', onChange);
+};
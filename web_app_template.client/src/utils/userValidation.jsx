@@ -0,0 +1,28 @@
+// Mirrors the DataAnnotations on CreateUserViewModel
+export const NAME_MAX_LENGTH = 50;
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Field errors keyed like the server's ModelState: { field: [message] }
+export const validateUserFields = (data, t) => {
+  const errors = {};
+  const tooLong = { max: NAME_MAX_LENGTH };
+  const firstName = data.firstName ?? '';
+  const lastName = data.lastName ?? '';
+  const motherLastName = data.motherLastName ?? '';
+  const email = data.email ?? '';
+
+  if (!firstName.trim()) errors.firstName = [t('validation.firstNameRequired')];
+  else if (firstName.length > NAME_MAX_LENGTH) errors.firstName = [t('validation.firstNameTooLong', tooLong)];
+
+  if (!lastName.trim()) errors.lastName = [t('validation.lastNameRequired')];
+  else if (lastName.length > NAME_MAX_LENGTH) errors.lastName = [t('validation.lastNameTooLong', tooLong)];
+
+  if (motherLastName.length > NAME_MAX_LENGTH) {
+    errors.motherLastName = [t('validation.motherLastNameTooLong', tooLong)];
+  }
+
+  if (!email.trim()) errors.email = [t('validation.emailRequired')];
+  else if (!EMAIL_PATTERN.test(email)) errors.email = [t('validation.emailInvalid')];
+
+  return errors;
+};